@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const VirtualRouter = require('./virtual-router');
 const TieLineEngine = require('./tie-line-engine');
+const UsageHistory = require('./usage-history');
 
 // Optional controllers (may not be available in all builds)
 let VideoHubController, SWP08Controller, GVNativeController;
@@ -13,11 +14,11 @@ try { GVNativeController = require('./gvnative-controller'); } catch (e) {}
 const VideoHubBridge = require('./videohub-bridge');
 
 let mainWindow;
-let controllerA = null;
-let controllerB = null;
+const controllers = {};
 let tieLineEngine = null;
 let virtualRouter = null;
 let videohubBridge = null;
+let usageHistory = null;
 let settings = {};
 
 // macOS Local Network TCC probe — triggers the system permission prompt
@@ -99,34 +100,28 @@ function getSettingsPath() {
   return path.join(app.getPath('userData'), 'tie-line-manager-settings.json');
 }
 
+function defaultRouterConfig(routerId, port = 9990) {
+  return { host: '127.0.0.1', port, protocol: 'videohub', levels: 1, name: `Router ${routerId}`, autoConnect: false };
+}
+
 function loadSettings() {
   try {
     const data = fs.readFileSync(getSettingsPath(), 'utf-8');
     settings = JSON.parse(data);
   } catch (e) {
     settings = {
-      routerA: { host: '127.0.0.1', port: 9990, protocol: 'videohub', levels: 1, name: 'Router A' },
-      routerB: { host: '127.0.0.1', port: 9991, protocol: 'videohub', levels: 1, name: 'Router B' },
-      tieLines: { aToB: [], bToA: [] },
+      routers: {
+        A: defaultRouterConfig('A', 9990),
+        B: defaultRouterConfig('B', 9991)
+      },
+      tieLines: { 'A>B': [], 'B>A': [] },
       salvos: [],
-      autoConnectA: false,
-      autoConnectB: false,
       autoReconnect: true,
       autoProtect: false,
       activeLevel: 0,
       activeTab: 'setup'
     };
   }
-  // Ensure defaults
-  if (!settings.tieLines) settings.tieLines = { aToB: [], bToA: [] };
-  if (!settings.salvos) settings.salvos = [];
-  if (!settings.routerA) settings.routerA = { host: '127.0.0.1', port: 9990, protocol: 'videohub', levels: 1, name: 'Router A' };
-  if (!settings.routerB) settings.routerB = { host: '127.0.0.1', port: 9991, protocol: 'videohub', levels: 1, name: 'Router B' };
-  if (!settings.remoteAccess) settings.remoteAccess = { enabled: false, port: 9990, autoStart: false, friendlyName: 'TieLineManager Virtual Router' };
-  if (!settings.inputLabelColors) settings.inputLabelColors = {};
-  if (!settings.outputLabelColors) settings.outputLabelColors = {};
-  if (!settings.bpsButtons) settings.bpsButtons = [];
-  if (!settings.routerHistory) settings.routerHistory = [];
 
   // Migrate old single autoConnect to per-router
   if (settings.autoConnect !== undefined) {
@@ -134,6 +129,51 @@ function loadSettings() {
     settings.autoConnectB = settings.autoConnect;
     delete settings.autoConnect;
   }
+
+  // Migrate fixed routerA/routerB pair to routers keyed by ID
+  if (!settings.routers) {
+    settings.routers = {
+      A: { ...defaultRouterConfig('A', 9990), ...settings.routerA, autoConnect: !!settings.autoConnectA },
+      B: { ...defaultRouterConfig('B', 9991), ...settings.routerB, autoConnect: !!settings.autoConnectB }
+    };
+  }
+  delete settings.routerA;
+  delete settings.routerB;
+  delete settings.autoConnectA;
+  delete settings.autoConnectB;
+
+  // Migrate aToB/bToA tie-line pools to direction-keyed pools
+  if (!settings.tieLines) settings.tieLines = { 'A>B': [], 'B>A': [] };
+  if (settings.tieLines.aToB) {
+    settings.tieLines['A>B'] = settings.tieLines.aToB.map(tl => ({ fromOutput: tl.routerAOutput, toInput: tl.routerBInput }));
+    delete settings.tieLines.aToB;
+  }
+  if (settings.tieLines.bToA) {
+    settings.tieLines['B>A'] = settings.tieLines.bToA.map(tl => ({ fromOutput: tl.routerBOutput, toInput: tl.routerAInput }));
+    delete settings.tieLines.bToA;
+  }
+
+  // Ensure defaults
+  if (!settings.salvos) settings.salvos = [];
+  if (!settings.remoteAccess) settings.remoteAccess = { enabled: false, port: 9990, autoStart: false, friendlyName: 'TieLineManager Virtual Router' };
+  if (!settings.inputLabelColors) settings.inputLabelColors = {};
+  if (!settings.outputLabelColors) settings.outputLabelColors = {};
+  if (!settings.bpsButtons) settings.bpsButtons = [];
+  if (!settings.routerHistory) settings.routerHistory = [];
+  if (!settings.tieLinePathStrategy) settings.tieLinePathStrategy = 'least-cost';
+  if (!Array.isArray(settings.levelMap)) settings.levelMap = [];
+  if (!settings.tieLineAllocation) settings.tieLineAllocation = {};
+  if (!settings.tieLineParkInputs) settings.tieLineParkInputs = {};
+  if (settings.tieLineAutoRepair === undefined) settings.tieLineAutoRepair = false;
+  if (!settings.tieLineExternalChangePolicy) settings.tieLineExternalChangePolicy = 'alarm';
+  if (!settings.tieLineReservations) settings.tieLineReservations = {};
+  if (!settings.destinationPriorities) settings.destinationPriorities = {};
+  if (!Array.isArray(settings.tieLineUsageThresholds)) settings.tieLineUsageThresholds = [75, 90, 100];
+  if (!Number.isInteger(settings.tieLineHistoryRetentionDays)) settings.tieLineHistoryRetentionDays = 30;
+  if (!Array.isArray(settings.equivalentSources)) settings.equivalentSources = [];
+  if (settings.tieLineConsolidateAt === undefined) settings.tieLineConsolidateAt = 90;
+  if (!settings.virtualPortMap) settings.virtualPortMap = { inputs: {}, outputs: {} };
+  if (!settings.virtualLayout) settings.virtualLayout = { inputs: [], outputs: [] };
 }
 
 function saveSettings() {
@@ -144,12 +184,122 @@ function saveSettings() {
   }
 }
 
+// Tie-line allocation journal, kept beside settings so restarts can recover
+// exactly which tie-lines were in use
+function getJournalPath() {
+  return path.join(app.getPath('userData'), 'tie-line-journal.json');
+}
+
+function loadJournal() {
+  try {
+    return JSON.parse(fs.readFileSync(getJournalPath(), 'utf-8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveJournal(entries) {
+  try {
+    fs.writeFileSync(getJournalPath(), JSON.stringify(entries, null, 2));
+  } catch (e) {
+    console.error('Failed to save tie-line journal:', e);
+  }
+}
+
+// Tie-line usage counters, kept beside the journal so allocation strategies
+// and the Usage column carry over restarts
+function getUsagePath() {
+  return path.join(app.getPath('userData'), 'tie-line-usage.json');
+}
+
+function loadUsage() {
+  try {
+    return JSON.parse(fs.readFileSync(getUsagePath(), 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveUsage(usage) {
+  try {
+    fs.writeFileSync(getUsagePath(), JSON.stringify(usage, null, 2));
+  } catch (e) {
+    console.error('Failed to save tie-line usage:', e);
+  }
+}
+
+// External changes on tie-line ports, one JSON object per line
+function getExternalChangeLogPath() {
+  return path.join(app.getPath('userData'), 'tie-line-external-changes.log');
+}
+
+function appendExternalChangeLog(entry) {
+  try {
+    fs.appendFileSync(getExternalChangeLogPath(), JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.error('Failed to write external change log:', e);
+  }
+}
+
+function readExternalChangeLog(limit = 200) {
+  try {
+    return fs.readFileSync(getExternalChangeLogPath(), 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map(line => JSON.parse(line));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Tie-line utilization history, recorded from engine state changes
+function getUsageHistory() {
+  if (!usageHistory) {
+    usageHistory = new UsageHistory(path.join(app.getPath('userData'), 'tie-line-usage-history.log'), {
+      retentionDays: settings.tieLineHistoryRetentionDays
+    });
+  }
+  return usageHistory;
+}
+
 function sendToRenderer(channel, ...args) {
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send(channel, ...args);
   }
 }
 
+// Routers are kept in settings order, which is also the virtual matrix order
+function getRouterIds() {
+  return Object.keys(settings.routers || {});
+}
+
+function getController(routerId) {
+  return controllers[routerId] || null;
+}
+
+function isRouterConnected(routerId) {
+  return !!controllers[routerId]?.isConnected();
+}
+
+function getRouterStates() {
+  const states = {};
+  for (const routerId of getRouterIds()) {
+    states[routerId] = isRouterConnected(routerId) ? controllers[routerId].getState() : null;
+  }
+  return states;
+}
+
+// Next unused single-letter router ID (A, B, C, ...)
+function nextRouterId() {
+  const used = new Set(getRouterIds());
+  for (let code = 65; code <= 90; code++) {
+    const id = String.fromCharCode(code);
+    if (!used.has(id)) return id;
+  }
+  return null;
+}
+
 // Controller factory
 function createController(protocol, config) {
   if (protocol === 'swp08' && SWP08Controller) {
@@ -162,39 +312,45 @@ function createController(protocol, config) {
   return null;
 }
 
-// Attach events from a controller, prefixed with router ID
+// Attach events from a controller, tagged with its router ID
 function attachControllerEvents(controller, routerId) {
   controller.on('connected', () => {
-    sendToRenderer(`router-${routerId}-connected`, controller.getState());
-    rebuildVirtualState();
+    sendToRenderer('router-connected', routerId, controller.getState());
+    rebuildVirtualState({ reconstruct: true });
   });
 
   controller.on('disconnected', () => {
-    sendToRenderer(`router-${routerId}-disconnected`);
+    sendToRenderer('router-disconnected', routerId);
     rebuildVirtualState();
   });
 
   controller.on('reconnecting', (attempt) => {
-    sendToRenderer(`router-${routerId}-reconnecting`, attempt);
+    sendToRenderer('router-reconnecting', routerId, attempt);
   });
 
   controller.on('routing-changed', (changes) => {
-    sendToRenderer(`router-${routerId}-routing-changed`, changes);
+    sendToRenderer('router-routing-changed', routerId, changes);
     scheduleRebuild();
+    // Audit once any external change policy has been applied
+    if (tieLineEngine) {
+      tieLineEngine.handleRoutingChanges(routerId, changes).then(scheduleAudit);
+    } else {
+      scheduleAudit();
+    }
   });
 
   controller.on('input-labels-changed', (changes) => {
-    sendToRenderer(`router-${routerId}-input-labels-changed`, changes);
+    sendToRenderer('router-input-labels-changed', routerId, changes);
     scheduleRebuild();
   });
 
   controller.on('output-labels-changed', (changes) => {
-    sendToRenderer(`router-${routerId}-output-labels-changed`, changes);
+    sendToRenderer('router-output-labels-changed', routerId, changes);
     scheduleRebuild();
   });
 
   controller.on('locks-changed', (changes) => {
-    sendToRenderer(`router-${routerId}-locks-changed`, changes);
+    sendToRenderer('router-locks-changed', routerId, changes);
     scheduleRebuild();
   });
 
@@ -203,7 +359,7 @@ function attachControllerEvents(controller, routerId) {
   });
 
   controller.on('error', (err) => {
-    sendToRenderer(`router-${routerId}-error`, err.message || err);
+    sendToRenderer('router-error', routerId, err.message || err);
   });
 }
 
@@ -220,20 +376,141 @@ function scheduleRebuild() {
   }
 }
 
-function rebuildVirtualState() {
-  const stateA = controllerA?.isConnected() ? controllerA.getState() : null;
-  const stateB = controllerB?.isConnected() ? controllerB.getState() : null;
+// Write the journal, usage and usage history at most once per burst of engine
+// changes: the engine emits for every released destination, and a take or
+// repair can emit many times
+const PERSIST_DELAY_MS = 250;
+let _persistPending = false;
+
+function schedulePersist() {
+  if (!_persistPending) {
+    _persistPending = true;
+    setTimeout(persistTieLineState, PERSIST_DELAY_MS);
+  }
+}
+
+function persistTieLineState() {
+  if (!_persistPending || !tieLineEngine) return;
+  _persistPending = false;
+  saveJournal(tieLineEngine.getJournal());
+  saveUsage(tieLineEngine.getUsage());
+  getUsageHistory().recordState(tieLineEngine.getState());
+}
+
+// Audit tie-lines against live routing once per burst of routing changes
+let _auditPending = false;
+let _auditRunning = false;
+let _auditAgain = false;
+let lastAuditIssues = [];
+
+function scheduleAudit() {
+  if (!_auditPending) {
+    _auditPending = true;
+    process.nextTick(() => {
+      _auditPending = false;
+      runTieLineAudit();
+    });
+  }
+}
+
+// Bookkeeping-only issues are always repaired; the rest only with auto-repair on
+async function runTieLineAudit() {
+  if (!tieLineEngine) return [];
+  if (_auditRunning) {
+    _auditAgain = true;
+    return lastAuditIssues;
+  }
+  _auditRunning = true;
+
+  let issues = tieLineEngine.audit();
+  const repairs = issues.filter(issue => issue.automatic || settings.tieLineAutoRepair);
+  for (const issue of repairs) {
+    await tieLineEngine.repairIssue(issue.id, issue.repairs[0], 'audit');
+  }
+  if (repairs.length > 0) {
+    issues = tieLineEngine.audit();
+    rebuildVirtualState();
+  }
+
+  lastAuditIssues = issues;
+  _auditRunning = false;
+  sendToRenderer('tie-line-audit-updated', issues);
+  if (_auditAgain) {
+    _auditAgain = false;
+    scheduleAudit();
+  }
+  return issues;
+}
+
+// Point the virtual indices saved in salvos, BPS buttons and label colours
+// at the new indices of the same ports; entries on a gap are dropped
+function remapVirtualIndices(inputs, outputs) {
+  for (const salvo of settings.salvos) {
+    salvo.routes = salvo.routes
+      .filter(route => outputs[route.output] !== undefined && inputs[route.input] !== undefined)
+      .map(route => ({ ...route, output: outputs[route.output], input: inputs[route.input] }));
+  }
+  settings.bpsButtons = settings.bpsButtons
+    .filter(button => inputs[button.source] !== undefined && outputs[button.destination] !== undefined)
+    .map(button => ({ ...button, source: inputs[button.source], destination: outputs[button.destination] }));
+  for (const [key, moved] of [['inputLabelColors', inputs], ['outputLabelColors', outputs]]) {
+    settings[key] = Object.fromEntries(Object.entries(settings[key])
+      .filter(([index]) => moved[index] !== undefined)
+      .map(([index, color]) => [moved[index], color]));
+  }
+}
+
+// Check one side of a virtual layout (see VirtualRouter.applyLayout);
+// returns an error message, or null. Ranges are 0-based and inclusive.
+function validateLayoutEntries(entries, kind) {
+  if (!Array.isArray(entries)) return 'Invalid layout';
+  const routerStates = getRouterStates();
+  const listed = new Set();
+  for (const [i, entry] of entries.entries()) {
+    if (entry.gap !== undefined) {
+      if (!Number.isInteger(entry.gap) || entry.gap < 1) return `Line ${i + 1}: a gap needs a count of 1 or more`;
+      continue;
+    }
+    const ranges = entry.ports || entry.hide;
+    if (!Array.isArray(ranges) || ranges.length === 0) return `Line ${i + 1}: no ports listed`;
+    for (const { router, start, end } of ranges) {
+      if (!settings.routers[router]) return `Line ${i + 1}: no Router ${router}`;
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) return `Line ${i + 1}: invalid range`;
+      // An offline router's size is unknown; SW-P-08 addresses at most 65536 ports
+      const count = routerStates[router]?.[kind] ?? 65536;
+      if (end >= count) return `Line ${i + 1}: Router ${router} has only ${count} ${kind}`;
+      for (let port = start; port <= end; port++) {
+        const key = `${router}:${port}`;
+        if (listed.has(key)) return `Line ${i + 1}: Router ${router} ${kind.slice(0, -1)} ${port + 1} is listed more than once`;
+        listed.add(key);
+      }
+    }
+  }
+  return null;
+}
+
+// Tie-line state is only rebuilt from physical routing when a router
+// (re)connects; otherwise the engine's own bookkeeping stands and any drift
+// from it is reported by the audit
+function rebuildVirtualState({ reconstruct = false } = {}) {
+  const routerStates = getRouterStates();
 
   if (!virtualRouter) {
-    virtualRouter = new VirtualRouter(stateA, stateB, settings.tieLines, tieLineEngine?.getState());
+    virtualRouter = new VirtualRouter(routerStates, settings.tieLines, tieLineEngine?.getState(), settings.levelMap, settings.equivalentSources, settings.virtualPortMap, settings.virtualLayout);
   } else {
-    virtualRouter.update(stateA, stateB, settings.tieLines, tieLineEngine?.getState());
+    virtualRouter.update(routerStates, settings.tieLines, tieLineEngine?.getState(), settings.levelMap, settings.equivalentSources, null, settings.virtualLayout);
   }
 
-  // Reconstruct tie-line state if both connected
-  if (tieLineEngine && controllerA?.isConnected() && controllerB?.isConnected()) {
-    tieLineEngine.reconstructStateFromRouting();
-    virtualRouter.update(null, null, null, tieLineEngine.getState());
+  // Reconstruct tie-line state for every pool whose routers are both connected
+  if (tieLineEngine) {
+    if (reconstruct) tieLineEngine.reconstruct().then(() => scheduleRebuild());
+    virtualRouter.update(null, null, tieLineEngine.getState());
+  }
+
+  // Newly seen ports were given virtual indices
+  if (virtualRouter.portMapChanged) {
+    virtualRouter.portMapChanged = false;
+    saveSettings();
   }
 
   // Update tie-line port labels to show the source being carried
@@ -245,26 +522,81 @@ function rebuildVirtualState() {
   }
 
   sendToRenderer('virtual-state-updated', virtualRouter.getState());
-  sendToRenderer('tie-line-state-updated', tieLineEngine?.getState() || { aToB: [], bToA: [] });
+  sendToRenderer('tie-line-state-updated', tieLineEngine?.getState() || {});
 
   // Notify TCP bridge of state change
   if (videohubBridge?.getStatus().running) {
     videohubBridge.onVirtualStateChanged(virtualRouter.getState());
   }
 
-  // Auto-start bridge if enabled and both routers connected
-  if (settings.remoteAccess?.autoStart && controllerA?.isConnected() && controllerB?.isConnected()
+  // Auto-start bridge if enabled and all routers connected
+  if (settings.remoteAccess?.autoStart && getRouterIds().every(isRouterConnected)
       && videohubBridge && !videohubBridge.getStatus().running) {
     startBridge();
   }
 }
 
+// Name physical destinations [{ router, output }] as the operator sees them
+function describeDestinations(destinations) {
+  const outputLabels = virtualRouter?.getState().outputLabels || {};
+  const virtualDestinations = destinations
+    .map(dest => virtualRouter ? virtualRouter.physicalOutputToVirtual(dest.router, dest.output) : -1)
+    .filter(v => v >= 0);
+  return { virtualDestinations, destinationLabels: virtualDestinations.map(v => outputLabels[v]) };
+}
+
 function ensureEngine() {
   if (!tieLineEngine) {
-    tieLineEngine = new TieLineEngine(controllerA, controllerB, settings.tieLines);
+    tieLineEngine = new TieLineEngine(controllers, settings.tieLines);
+    tieLineEngine.loadJournal(loadJournal());
+    tieLineEngine.loadUsage(loadUsage());
+    tieLineEngine.setPathStrategy(settings.tieLinePathStrategy);
+    tieLineEngine.setAllocationStrategies(settings.tieLineAllocation);
+    tieLineEngine.setParkInputs(settings.tieLineParkInputs);
+    tieLineEngine.setExternalChangePolicy(settings.tieLineExternalChangePolicy);
+    tieLineEngine.setReservations(settings.tieLineReservations);
+    tieLineEngine.setDestinationPriorities(settings.destinationPriorities);
+    tieLineEngine.setUsageThresholds(settings.tieLineUsageThresholds);
+    tieLineEngine.setAutoConsolidate(settings.tieLineConsolidateAt);
+    tieLineEngine.setLevelMap(settings.levelMap);
     tieLineEngine.on('state-changed', () => {
+      schedulePersist();
       sendToRenderer('tie-line-state-updated', tieLineEngine.getState());
     });
+    tieLineEngine.on('usage-changed', schedulePersist);
+    tieLineEngine.on('cross-route-failed', (failure) => {
+      getUsageHistory().recordFailedTake(failure);
+    });
+    tieLineEngine.on('queue-changed', (status) => {
+      sendToRenderer('route-queue-updated', status);
+    });
+    tieLineEngine.on('migration-progress', (progress) => {
+      sendToRenderer('tie-line-migration-progress', progress);
+    });
+    tieLineEngine.on('park-failed', ({ router, error }) => {
+      sendToRenderer('router-error', router, error);
+    });
+    tieLineEngine.on('lock-failed', ({ router, error }) => {
+      sendToRenderer('router-error', router, error);
+    });
+    tieLineEngine.on('static-route-failed', ({ router, error }) => {
+      sendToRenderer('router-error', router, error);
+    });
+    tieLineEngine.on('external-change', (event) => {
+      const entry = { ...event, ...describeDestinations(event.destinations) };
+      appendExternalChangeLog(entry);
+      sendToRenderer('tie-line-external-change', entry);
+    });
+    tieLineEngine.on('usage-threshold', (alert) => {
+      sendToRenderer('tie-line-usage-alert', alert);
+      if (videohubBridge?.getStatus().running) videohubBridge.broadcastUsageAlert(alert);
+    });
+    tieLineEngine.on('tie-lines-consolidated', (event) => {
+      sendToRenderer('tie-lines-consolidated', event);
+    });
+    tieLineEngine.on('tie-line-preempted', (event) => {
+      sendToRenderer('tie-line-preempted', { ...event, ...describeDestinations(event.preempted) });
+    });
   }
 }
 
@@ -277,7 +609,7 @@ function createBridge() {
     friendlyName: settings.remoteAccess?.friendlyName || 'TieLineManager Virtual Router'
   });
 
-  videohubBridge.setDependencies({ virtualRouter, tieLineEngine, controllerA, controllerB });
+  videohubBridge.setDependencies({ virtualRouter, tieLineEngine, controllers });
 
   videohubBridge.on('client-connected', (clientId) => {
     sendToRenderer('bridge-client-connected', clientId);
@@ -298,7 +630,7 @@ async function startBridge() {
   if (!virtualRouter) return { success: false, error: 'Virtual router not initialized' };
   if (!videohubBridge) createBridge();
 
-  videohubBridge.setDependencies({ virtualRouter, tieLineEngine, controllerA, controllerB });
+  videohubBridge.setDependencies({ virtualRouter, tieLineEngine, controllers });
 
   try {
     await videohubBridge.start();
@@ -359,21 +691,25 @@ function setupIPC() {
   // Connection management
   ipcMain.handle('connect-router', async (event, routerId, config) => {
     try {
-      const otherId = routerId === 'A' ? 'B' : 'A';
-      const otherController = routerId === 'A' ? controllerB : controllerA;
-      const otherSettings = routerId === 'A' ? settings.routerB : settings.routerA;
-      const otherHost = otherController?.host ?? otherSettings?.host;
-      const otherPort = otherController?.port ?? otherSettings?.port;
-      if (otherController && String(otherHost) === String(config.host) && Number(otherPort) === Number(config.port)) {
-        return { success: false, error: `Router ${otherId} is already using ${config.host}:${config.port}. Routers A and B must target different devices.` };
+      if (!settings.routers[routerId]) {
+        return { success: false, error: `Router ${routerId} is not configured` };
+      }
+
+      for (const otherId of getRouterIds()) {
+        if (otherId === routerId) continue;
+        const otherController = controllers[otherId];
+        const otherHost = otherController?.host ?? settings.routers[otherId].host;
+        const otherPort = otherController?.port ?? settings.routers[otherId].port;
+        if (otherController && String(otherHost) === String(config.host) && Number(otherPort) === Number(config.port)) {
+          return { success: false, error: `Router ${otherId} is already using ${config.host}:${config.port}. Each router must target a different device.` };
+        }
       }
 
       probeLocalNetwork();
-      const routerConfig = routerId === 'A' ? settings.routerA : settings.routerB;
-      Object.assign(routerConfig, config);
+      Object.assign(settings.routers[routerId], config);
       saveSettings();
 
-      let controller = routerId === 'A' ? controllerA : controllerB;
+      let controller = controllers[routerId];
 
       // Clean up existing
       if (controller) {
@@ -393,19 +729,14 @@ function setupIPC() {
         return { success: false, error: 'Controller not available for this protocol' };
       }
 
-      if (routerId === 'A') {
-        controllerA = controller;
-      } else {
-        controllerB = controller;
-      }
+      controllers[routerId] = controller;
 
       attachControllerEvents(controller, routerId);
       ensureEngine();
-      tieLineEngine.controllerA = controllerA;
-      tieLineEngine.controllerB = controllerB;
+      tieLineEngine.setController(routerId, controller);
 
       if (videohubBridge) {
-        videohubBridge.setDependencies({ virtualRouter, tieLineEngine, controllerA, controllerB });
+        videohubBridge.setDependencies({ virtualRouter, tieLineEngine, controllers });
       }
 
       await controller.connect();
@@ -417,12 +748,12 @@ function setupIPC() {
 
   ipcMain.handle('disconnect-router', async (event, routerId) => {
     try {
-      const controller = routerId === 'A' ? controllerA : controllerB;
+      const controller = controllers[routerId];
       if (controller) {
         controller.removeAllListeners();
         await controller.disconnect().catch(() => {});
-        if (routerId === 'A') controllerA = null;
-        else controllerB = null;
+        delete controllers[routerId];
+        tieLineEngine?.setController(routerId, null);
       }
       rebuildVirtualState();
       return { success: true };
@@ -431,9 +762,79 @@ function setupIPC() {
     }
   });
 
+  // Router list management
+  ipcMain.handle('get-routers', () => {
+    return getRouterIds().map(routerId => ({
+      id: routerId,
+      ...settings.routers[routerId],
+      connected: isRouterConnected(routerId)
+    }));
+  });
+
+  ipcMain.handle('add-router', (event, config = {}) => {
+    const routerId = nextRouterId();
+    if (!routerId) return { success: false, error: 'No more router IDs available' };
+
+    settings.routers[routerId] = { ...defaultRouterConfig(routerId), ...config };
+    saveSettings();
+    rebuildVirtualState();
+    return { success: true, routerId, routers: settings.routers };
+  });
+
+  ipcMain.handle('remove-router', async (event, routerId) => {
+    if (!settings.routers[routerId]) return { success: false, error: `Router ${routerId} is not configured` };
+    if (getRouterIds().length <= 2) return { success: false, error: 'At least two routers are required' };
+
+    const controller = controllers[routerId];
+    if (controller) {
+      controller.removeAllListeners();
+      await controller.disconnect().catch(() => {});
+      delete controllers[routerId];
+    }
+    tieLineEngine?.setController(routerId, null);
+
+    // Drop any tie-line pools touching this router
+    for (const direction of Object.keys(settings.tieLines)) {
+      const { from, to } = TieLineEngine.parseDirection(direction);
+      if (from === routerId || to === routerId) delete settings.tieLines[direction];
+    }
+    for (const perDirection of [settings.tieLineAllocation, settings.tieLineParkInputs, settings.tieLineReservations]) {
+      for (const direction of Object.keys(perDirection)) {
+        const { from, to } = TieLineEngine.parseDirection(direction);
+        if (from === routerId || to === routerId) delete perDirection[direction];
+      }
+    }
+    for (const key of Object.keys(settings.destinationPriorities)) {
+      if (key.startsWith(`${routerId}:`)) delete settings.destinationPriorities[key];
+    }
+    for (const group of settings.equivalentSources) {
+      group.members = group.members.filter(member => member.router !== routerId);
+    }
+    settings.equivalentSources = settings.equivalentSources.filter(group => group.members.length >= 2);
+    for (const ports of [settings.virtualPortMap.inputs, settings.virtualPortMap.outputs]) {
+      for (const key of Object.keys(ports)) {
+        if (key.startsWith(`${routerId}:`)) delete ports[key];
+      }
+    }
+    for (const kind of ['inputs', 'outputs']) {
+      settings.virtualLayout[kind] = settings.virtualLayout[kind].map(entry => {
+        if (entry.ports) return { ...entry, ports: entry.ports.filter(range => range.router !== routerId) };
+        if (entry.hide) return { hide: entry.hide.filter(range => range.router !== routerId) };
+        return entry;
+      }).filter(entry => entry.gap || (entry.ports || entry.hide).length > 0);
+    }
+    delete settings.routers[routerId];
+    for (const entry of settings.levelMap) delete entry.levels?.[routerId];
+    saveSettings();
+
+    ensureEngine();
+    await tieLineEngine.updateConfig(settings.tieLines);
+    rebuildVirtualState();
+    return { success: true, routers: settings.routers, tieLines: settings.tieLines };
+  });
+
   ipcMain.handle('get-connection-status', (event, routerId) => {
-    const controller = routerId === 'A' ? controllerA : controllerB;
-    return { connected: controller?.isConnected() || false };
+    return { connected: isRouterConnected(routerId) };
   });
 
   // State
@@ -445,23 +846,34 @@ function setupIPC() {
   });
 
   ipcMain.handle('get-router-state', (event, routerId) => {
-    const controller = routerId === 'A' ? controllerA : controllerB;
-    return controller?.isConnected() ? controller.getState() : null;
+    return isRouterConnected(routerId) ? controllers[routerId].getState() : null;
   });
 
   ipcMain.handle('get-tie-line-state', () => {
-    return tieLineEngine?.getState() || { aToB: [], bToA: [] };
+    return tieLineEngine?.getState() || {};
+  });
+
+  ipcMain.handle('get-route-queue-status', () => {
+    return tieLineEngine?.getQueueStatus() || { depth: 0, busy: false, clients: {} };
   });
 
   // Virtual routing
   ipcMain.handle('set-virtual-route', async (event, virtualOutput, virtualInput, level = 0) => {
     ensureEngine();
     if (!virtualRouter) rebuildVirtualState();
-    const result = await tieLineEngine.executeVirtualRoute(virtualOutput, virtualInput, virtualRouter, level);
+    const result = await tieLineEngine.executeVirtualRoute(virtualOutput, virtualInput, virtualRouter, level, 'ui');
     // rebuildVirtualState() is triggered by the routing-changed event from the controller
+    if (result.preempted) return { ...result, ...describeDestinations(result.preempted) };
     return result;
   });
 
+  // What a route would do, without doing it
+  ipcMain.handle('plan-virtual-route', (event, virtualOutput, virtualInput, level = 0) => {
+    ensureEngine();
+    if (!virtualRouter) rebuildVirtualState();
+    return tieLineEngine.planVirtualRoute(virtualOutput, virtualInput, virtualRouter, level);
+  });
+
   // Destination locks
   ipcMain.handle('set-virtual-lock', async (event, virtualOutput, lockState) => {
     if (!virtualRouter) rebuildVirtualState();
@@ -470,7 +882,7 @@ function setupIPC() {
     const resolved = virtualRouter.resolveOutput(virtualOutput);
     if (!resolved) return { success: false, error: 'Invalid virtual output' };
 
-    const controller = resolved.router === 'A' ? controllerA : controllerB;
+    const controller = getController(resolved.router);
     if (!controller?.isConnected()) {
       return { success: false, error: `Router ${resolved.router} is not connected` };
     }
@@ -485,47 +897,239 @@ function setupIPC() {
 
   // Tie-line configuration
   ipcMain.handle('get-tie-line-config', () => {
-    return settings.tieLines || { aToB: [], bToA: [] };
+    return settings.tieLines || {};
   });
 
-  ipcMain.handle('set-tie-line-config', (event, config) => {
+  ipcMain.handle('set-tie-line-config', async (event, config) => {
     settings.tieLines = config;
     saveSettings();
     ensureEngine();
-    tieLineEngine.updateConfig(config);
+    await tieLineEngine.updateConfig(config);
     rebuildVirtualState();
     return { success: true };
   });
 
-  ipcMain.handle('add-tie-line', (event, direction, mapping) => {
+  // How a direction picks its next free tie-line
+  ipcMain.handle('set-tie-line-allocation', (event, direction, strategy) => {
+    if (!TieLineEngine.ALLOCATION_STRATEGIES.includes(strategy)) {
+      return { success: false, error: `Unknown allocation strategy ${strategy}` };
+    }
+    settings.tieLineAllocation[direction] = strategy;
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setAllocationStrategies(settings.tieLineAllocation);
+    return { success: true };
+  });
+
+  // Equivalent sources: copies of one signal on several routers, shown as one
+  // virtual input and routed from the copy nearest the destination.
+  // groups: [{ members: [{ router, input }] }] with 0-based physical inputs
+  ipcMain.handle('set-equivalent-sources', (event, groups) => {
+    const seen = new Set();
+    for (const [i, group] of (groups || []).entries()) {
+      if (!Array.isArray(group.members) || group.members.length < 2) {
+        return { success: false, error: `Group ${i + 1} needs at least two sources` };
+      }
+      for (const member of group.members) {
+        if (!settings.routers[member.router]) return { success: false, error: `Group ${i + 1}: no Router ${member.router}` };
+        if (!Number.isInteger(member.input) || member.input < 0) return { success: false, error: `Group ${i + 1}: invalid input` };
+        const key = `${member.router}:${member.input}`;
+        if (seen.has(key)) return { success: false, error: `Router ${member.router} input ${member.input + 1} is in more than one group` };
+        seen.add(key);
+      }
+    }
+    settings.equivalentSources = (groups || []).map(group => ({
+      members: group.members.map(({ router, input }) => ({ router, input }))
+    }));
+    saveSettings();
+    rebuildVirtualState();
+    return { success: true, equivalentSources: settings.equivalentSources };
+  });
+
+  // Tie-lines a direction keeps back for priority destinations, and whether
+  // those destinations may pre-empt a lower-priority route when it is full
+  ipcMain.handle('set-tie-line-reservation', (event, direction, count, preempt) => {
+    if (!settings.tieLines[direction]) return { success: false, error: `No ${direction} tie-lines configured` };
+    const reserved = Number.isInteger(count) && count > 0 ? count : 0;
+    if (reserved === 0 && !preempt) {
+      delete settings.tieLineReservations[direction];
+    } else {
+      settings.tieLineReservations[direction] = { count: reserved, preempt: !!preempt };
+    }
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setReservations(settings.tieLineReservations);
+    return { success: true, reservations: settings.tieLineReservations };
+  });
+
+  // Replace one router's priority destinations (physical outputs)
+  ipcMain.handle('set-destination-priorities', (event, routerId, outputs) => {
+    for (const key of Object.keys(settings.destinationPriorities)) {
+      if (key.startsWith(`${routerId}:`)) delete settings.destinationPriorities[key];
+    }
+    for (const output of outputs || []) {
+      if (Number.isInteger(output) && output >= 0) settings.destinationPriorities[`${routerId}:${output}`] = 1;
+    }
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setDestinationPriorities(settings.destinationPriorities);
+    return { success: true, priorities: settings.destinationPriorities };
+  });
+
+  // Park input for released tie-lines: per direction (index null) or per
+  // tie-line; input null clears it
+  ipcMain.handle('set-tie-line-park', (event, direction, index, input) => {
+    const lines = settings.tieLines[direction];
+    if (!lines) return { success: false, error: `No ${direction} tie-lines configured` };
+    const park = Number.isInteger(input) && input >= 0 ? input : null;
+
+    if (index === null || index === undefined) {
+      if (park === null) delete settings.tieLineParkInputs[direction];
+      else settings.tieLineParkInputs[direction] = park;
+    } else {
+      if (!lines[index]) return { success: false, error: `No tie-line ${index + 1} in ${direction}` };
+      if (park === null) delete lines[index].parkInput;
+      else lines[index].parkInput = park;
+    }
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setParkInputs(settings.tieLineParkInputs);
+    tieLineEngine.parkFreeTieLines(direction, 'ui');
+    return { success: true, tieLines: settings.tieLines, parkInputs: settings.tieLineParkInputs };
+  });
+
+  // Pin a tie-line permanently to an input on its source router (null unpins)
+  ipcMain.handle('set-tie-line-static', async (event, direction, index, input) => {
+    if (!settings.tieLines[direction]?.[index]) return { success: false, error: `No tie-line ${index + 1} in ${direction}` };
+
+    ensureEngine();
+    const result = await tieLineEngine.setTieLineStatic(direction, index, Number.isInteger(input) && input >= 0 ? input : null);
+    if (!result.success) return result;
+    saveSettings();
+    rebuildVirtualState();
+    return { ...result, tieLines: settings.tieLines };
+  });
+
+  // Virtual levels: [{ name, levels: { [routerId]: physicalLevel | null } }]
+  ipcMain.handle('set-level-map', async (event, levelMap) => {
+    if (!Array.isArray(levelMap)) return { success: false, error: 'Level map must be a list of levels' };
+    settings.levelMap = levelMap.map((entry, i) => ({
+      name: String(entry.name || '').trim() || `Level ${i + 1}`,
+      levels: { ...entry.levels }
+    }));
+    saveSettings();
+    ensureEngine();
+    await tieLineEngine.setLevelMap(settings.levelMap);
+    rebuildVirtualState();
+    return { success: true, levelMap: settings.levelMap };
+  });
+
+  ipcMain.handle('add-tie-line', async (event, direction, mapping) => {
+    const { from, to } = TieLineEngine.parseDirection(direction);
+    if (!settings.routers[from] || !settings.routers[to] || from === to) {
+      return { success: false, error: `Invalid tie-line direction ${direction}` };
+    }
     if (!settings.tieLines[direction]) settings.tieLines[direction] = [];
     settings.tieLines[direction].push(mapping);
     saveSettings();
     ensureEngine();
-    tieLineEngine.updateConfig(settings.tieLines);
+    await tieLineEngine.updateConfig(settings.tieLines);
     rebuildVirtualState();
 
     return { success: true, tieLines: settings.tieLines };
   });
 
-  ipcMain.handle('remove-tie-line', (event, direction, index) => {
+  ipcMain.handle('remove-tie-line', async (event, direction, index) => {
     if (settings.tieLines[direction]) {
       settings.tieLines[direction].splice(index, 1);
       saveSettings();
       ensureEngine();
-      tieLineEngine.updateConfig(settings.tieLines);
+      await tieLineEngine.updateConfig(settings.tieLines);
       rebuildVirtualState();
     }
     return { success: true, tieLines: settings.tieLines };
   });
 
+  // Take a tie-line out of service ('faulty' / 'maintenance') or back in (null)
+  ipcMain.handle('set-tie-line-service', async (event, direction, index, status, reason) => {
+    if (status && !['faulty', 'maintenance'].includes(status)) {
+      return { success: false, error: `Unknown tie-line status ${status}` };
+    }
+    ensureEngine();
+    const result = await tieLineEngine.setTieLineService(direction, index, status || null, reason, 'ui');
+    saveSettings();
+    rebuildVirtualState();
+    return { ...result, tieLines: settings.tieLines };
+  });
+
+  // Consistency audit
+  ipcMain.handle('audit-tie-lines', async () => {
+    ensureEngine();
+    return runTieLineAudit();
+  });
+
+  ipcMain.handle('repair-tie-line-issue', async (event, issueId, action) => {
+    ensureEngine();
+    const result = await tieLineEngine.repairIssue(issueId, action, 'ui');
+    rebuildVirtualState();
+    await runTieLineAudit();
+    return result;
+  });
+
+  ipcMain.handle('set-tie-line-auto-repair', (event, enabled) => {
+    settings.tieLineAutoRepair = !!enabled;
+    saveSettings();
+    if (enabled) runTieLineAudit();
+    return { success: true };
+  });
+
+  // What to do when a tie-line output is re-routed outside the app
+  ipcMain.handle('set-tie-line-external-change-policy', (event, policy) => {
+    if (!TieLineEngine.EXTERNAL_CHANGE_POLICIES.includes(policy)) {
+      return { success: false, error: `Unknown external change policy ${policy}` };
+    }
+    settings.tieLineExternalChangePolicy = policy;
+    saveSettings();
+    tieLineEngine?.setExternalChangePolicy(policy);
+    return { success: true };
+  });
+
+  ipcMain.handle('get-tie-line-external-change-log', () => {
+    return readExternalChangeLog();
+  });
+
+  // Merge duplicate tie-lines carrying the same source (direction null: all)
+  ipcMain.handle('consolidate-tie-lines', async (event, direction = null) => {
+    ensureEngine();
+    const result = await tieLineEngine.consolidateTieLines(direction, 'ui');
+    rebuildVirtualState();
+    return result;
+  });
+
+  // Usage percentage at which duplicates are consolidated automatically (null: never)
+  ipcMain.handle('set-tie-line-consolidate-at', (event, percent) => {
+    settings.tieLineConsolidateAt = Number.isInteger(percent) && percent > 0 && percent <= 100 ? percent : null;
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setAutoConsolidate(settings.tieLineConsolidateAt);
+    return { success: true, consolidateAt: settings.tieLineConsolidateAt };
+  });
+
+  // Move a tie-line's routes onto another tie-line without a break
+  ipcMain.handle('migrate-tie-line', async (event, direction, index, targetIndex = null) => {
+    ensureEngine();
+    const result = await tieLineEngine.migrateTieLine(direction, index, targetIndex, 'ui');
+    rebuildVirtualState();
+    return result;
+  });
+
   // Labels — resolve virtual index to physical router
   ipcMain.handle('set-input-label', (event, virtualIndex, label) => {
     if (!virtualRouter) return { success: false, error: 'Not initialized' };
     const resolved = virtualRouter.resolveInput(virtualIndex);
     if (!resolved) return { success: false, error: 'Invalid index' };
 
-    const controller = resolved.router === 'A' ? controllerA : controllerB;
+    const controller = getController(resolved.router);
     if (!controller?.isConnected()) return { success: false, error: `Router ${resolved.router} not connected` };
 
     controller.setInputLabel(resolved.physicalIndex, label);
@@ -537,7 +1141,7 @@ function setupIPC() {
     const resolved = virtualRouter.resolveOutput(virtualIndex);
     if (!resolved) return { success: false, error: 'Invalid index' };
 
-    const controller = resolved.router === 'A' ? controllerA : controllerB;
+    const controller = getController(resolved.router);
     if (!controller?.isConnected()) return { success: false, error: `Router ${resolved.router} not connected` };
 
     controller.setOutputLabel(resolved.physicalIndex, label);
@@ -586,6 +1190,55 @@ function setupIPC() {
     return { success: true };
   });
 
+  // Close the gaps that hidden and removed ports leave in the virtual
+  // matrix. Every router must be online, or its ports would lose their indices.
+  ipcMain.handle('renumber-virtual-ports', () => {
+    if (!virtualRouter) return { success: false, error: 'Not initialized' };
+    const offline = getRouterIds().filter(routerId => !isRouterConnected(routerId));
+    if (offline.length > 0) {
+      return { success: false, error: `Connect ${offline.map(routerId => `Router ${routerId}`).join(', ')} first` };
+    }
+
+    const { inputs, outputs } = virtualRouter.renumberPorts();
+    remapVirtualIndices(inputs, outputs);
+    saveSettings();
+    rebuildVirtualState();
+    sendToRenderer('label-colors-changed', {
+      inputLabelColors: settings.inputLabelColors,
+      outputLabelColors: settings.outputLabelColors
+    });
+    return { success: true, salvos: settings.salvos, bpsButtons: settings.bpsButtons };
+  });
+
+  // User-defined virtual layout: the order of the virtual ports, named
+  // sections, gaps and hidden ports. Saved indices follow their ports.
+  ipcMain.handle('set-virtual-layout', (event, layout) => {
+    if (!virtualRouter) return { success: false, error: 'Not initialized' };
+    if (Object.keys(settings.virtualPortMap.inputs).length === 0) {
+      return { success: false, error: 'Connect every router once before changing the layout' };
+    }
+    const error = validateLayoutEntries(layout?.inputs, 'inputs') || validateLayoutEntries(layout?.outputs, 'outputs');
+    if (error) return { success: false, error };
+
+    const normalize = entries => entries.map(entry => {
+      const ranges = list => list.map(({ router, start, end }) => ({ router, start, end }));
+      if (entry.gap !== undefined) return { gap: entry.gap };
+      if (entry.hide) return { hide: ranges(entry.hide) };
+      return { name: String(entry.name || '').trim(), ports: ranges(entry.ports), interleave: !!entry.interleave };
+    });
+    settings.virtualLayout = { inputs: normalize(layout.inputs), outputs: normalize(layout.outputs) };
+
+    const { inputs, outputs } = virtualRouter.applyLayout(settings.virtualLayout);
+    remapVirtualIndices(inputs, outputs);
+    saveSettings();
+    rebuildVirtualState();
+    sendToRenderer('label-colors-changed', {
+      inputLabelColors: settings.inputLabelColors,
+      outputLabelColors: settings.outputLabelColors
+    });
+    return { success: true, virtualLayout: settings.virtualLayout, salvos: settings.salvos, bpsButtons: settings.bpsButtons };
+  });
+
   // BPS buttons
   ipcMain.handle('get-bps-buttons', () => {
     return settings.bpsButtons || [];
@@ -664,8 +1317,7 @@ function setupIPC() {
   });
 
   ipcMain.handle('set-auto-connect', (event, routerId, enabled) => {
-    if (routerId === 'A') settings.autoConnectA = enabled;
-    else if (routerId === 'B') settings.autoConnectB = enabled;
+    if (settings.routers[routerId]) settings.routers[routerId].autoConnect = enabled;
     saveSettings();
     return { success: true };
   });
@@ -682,6 +1334,69 @@ function setupIPC() {
     return { success: true };
   });
 
+  ipcMain.handle('set-tie-line-path-strategy', (event, strategy) => {
+    settings.tieLinePathStrategy = strategy;
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setPathStrategy(strategy);
+    return { success: true };
+  });
+
+  // Usage percentages at which a tie-line direction raises an alert
+  ipcMain.handle('set-tie-line-usage-thresholds', (event, thresholds) => {
+    const valid = (thresholds || []).filter(t => Number.isInteger(t) && t > 0 && t <= 100);
+    settings.tieLineUsageThresholds = [...new Set(valid)].sort((a, b) => a - b);
+    saveSettings();
+    ensureEngine();
+    tieLineEngine.setUsageThresholds(settings.tieLineUsageThresholds);
+    return { success: true, thresholds: settings.tieLineUsageThresholds };
+  });
+
+  ipcMain.handle('get-tie-line-usage-alerts', () => {
+    return tieLineEngine?.getUsageAlerts() || [];
+  });
+
+  // Utilization report: one row per day, direction and level
+  ipcMain.handle('get-tie-line-usage-report', () => {
+    persistTieLineState();
+    return getUsageHistory().report();
+  });
+
+  ipcMain.handle('set-tie-line-history-retention', (event, days) => {
+    if (!Number.isInteger(days) || days < 1) return { success: false, error: 'Retention must be at least 1 day' };
+    settings.tieLineHistoryRetentionDays = days;
+    saveSettings();
+    getUsageHistory().setRetention({ retentionDays: days });
+    return { success: true };
+  });
+
+  ipcMain.handle('export-tie-line-usage-report', async () => {
+    persistTieLineState();
+    const report = getUsageHistory().report();
+    if (report.length === 0) return { success: false, error: 'No tie-line usage recorded yet' };
+
+    const { filePath, canceled } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Tie-Line Usage Report',
+      defaultPath: 'tie-line-usage.csv',
+      filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+    });
+    if (canceled || !filePath) return { success: false, error: 'Cancelled' };
+
+    const header = 'date,direction,level,peak_in_use,total,peak_percent,minutes_at_100_percent,failed_takes';
+    const rows = report.map(row => [
+      row.date,
+      csvEscape(row.direction),
+      csvEscape(settings.levelMap[row.level]?.name || `Level ${row.level + 1}`),
+      row.peakInUse,
+      row.total,
+      row.peakPercent,
+      (row.timeAtFullMs / 60000).toFixed(1),
+      row.failedTakes
+    ].join(','));
+    fs.writeFileSync(filePath, header + '\n' + rows.join('\n') + '\n', 'utf-8');
+    return { success: true, count: rows.length, filePath };
+  });
+
   // VideoHub Bridge (Remote Access)
   ipcMain.handle('start-bridge', async () => {
     probeLocalNetwork();
@@ -798,24 +1513,20 @@ function setupIPC() {
     ensureEngine();
     if (!virtualRouter) rebuildVirtualState();
 
-    const errors = [];
-    let appliedCount = 0;
-
-    for (const route of salvo.routes) {
-      const result = await tieLineEngine.executeVirtualRoute(route.output, route.input, virtualRouter, 0);
-      if (result.success) {
-        appliedCount++;
-      } else {
-        errors.push(`${route.outputLabel || `Out ${route.output + 1}`}: ${result.error}`);
-      }
-    }
+    // All or nothing: a salvo that cannot be taken in full is not taken at all
+    const result = await tieLineEngine.executeVirtualRoutes(
+      salvo.routes.map(route => ({ output: route.output, input: route.input, level: route.level || 0, outputLabel: route.outputLabel })),
+      virtualRouter,
+      'salvo'
+    );
 
     // rebuildVirtualState() is triggered by routing-changed events from the controllers
 
     return {
-      success: errors.length === 0,
-      errors: errors.length > 0 ? errors : undefined,
-      appliedCount
+      success: result.success,
+      errors: result.success ? undefined : result.errors,
+      appliedCount: result.success ? result.appliedCount : 0,
+      ...(result.preempted && { preempted: result.preempted, ...describeDestinations(result.preempted) })
     };
   });
 
@@ -1115,7 +1826,7 @@ app.whenReady().then(async () => {
 
   // Initialize engine
   ensureEngine();
-  virtualRouter = new VirtualRouter(null, null, settings.tieLines, tieLineEngine.getState());
+  virtualRouter = new VirtualRouter(getRouterStates(), settings.tieLines, tieLineEngine.getState(), settings.levelMap, settings.equivalentSources, settings.virtualPortMap, settings.virtualLayout);
 
   // Initialize bridge if remote access enabled
   if (settings.remoteAccess?.enabled || settings.remoteAccess?.autoStart) {
@@ -1129,8 +1840,12 @@ app.whenReady().then(async () => {
 app.on('window-all-closed', () => {
   // Stop bridge and disconnect controllers on quit
   if (videohubBridge) { videohubBridge.stop().catch(() => {}); }
-  if (controllerA) { controllerA.removeAllListeners(); controllerA.disconnect().catch(() => {}); }
-  if (controllerB) { controllerB.removeAllListeners(); controllerB.disconnect().catch(() => {}); }
+  persistTieLineState();
+  usageHistory?.stop();
+  for (const controller of Object.values(controllers)) {
+    controller.removeAllListeners();
+    controller.disconnect().catch(() => {});
+  }
   if (process.platform !== 'darwin') app.quit();
 });
 
@@ -6,10 +6,16 @@ contextBridge.exposeInMainWorld('tieLineManager', {
   disconnectRouter: (routerId) => ipcRenderer.invoke('disconnect-router', routerId),
   getConnectionStatus: (routerId) => ipcRenderer.invoke('get-connection-status', routerId),
 
+  // Router list
+  getRouters: () => ipcRenderer.invoke('get-routers'),
+  addRouter: (config) => ipcRenderer.invoke('add-router', config),
+  removeRouter: (routerId) => ipcRenderer.invoke('remove-router', routerId),
+
   // Virtual state
   getVirtualState: () => ipcRenderer.invoke('get-virtual-state'),
   getRouterState: (routerId) => ipcRenderer.invoke('get-router-state', routerId),
   setVirtualRoute: (output, input, level) => ipcRenderer.invoke('set-virtual-route', output, input, level),
+  planVirtualRoute: (output, input, level) => ipcRenderer.invoke('plan-virtual-route', output, input, level),
 
   // Tie-line configuration
   getTieLineConfig: () => ipcRenderer.invoke('get-tie-line-config'),
@@ -17,6 +23,15 @@ contextBridge.exposeInMainWorld('tieLineManager', {
   addTieLine: (direction, mapping) => ipcRenderer.invoke('add-tie-line', direction, mapping),
   removeTieLine: (direction, index) => ipcRenderer.invoke('remove-tie-line', direction, index),
   getTieLineState: () => ipcRenderer.invoke('get-tie-line-state'),
+  getRouteQueueStatus: () => ipcRenderer.invoke('get-route-queue-status'),
+  setTieLineService: (direction, index, status, reason) => ipcRenderer.invoke('set-tie-line-service', direction, index, status, reason),
+  migrateTieLine: (direction, index, targetIndex) => ipcRenderer.invoke('migrate-tie-line', direction, index, targetIndex),
+  consolidateTieLines: (direction) => ipcRenderer.invoke('consolidate-tie-lines', direction),
+  auditTieLines: () => ipcRenderer.invoke('audit-tie-lines'),
+  repairTieLineIssue: (issueId, action) => ipcRenderer.invoke('repair-tie-line-issue', issueId, action),
+  setTieLineAutoRepair: (enabled) => ipcRenderer.invoke('set-tie-line-auto-repair', enabled),
+  setTieLineExternalChangePolicy: (policy) => ipcRenderer.invoke('set-tie-line-external-change-policy', policy),
+  getTieLineExternalChangeLog: () => ipcRenderer.invoke('get-tie-line-external-change-log'),
 
   // Locks
   setVirtualLock: (virtualOutput, lockState) => ipcRenderer.invoke('set-virtual-lock', virtualOutput, lockState),
@@ -31,6 +46,10 @@ contextBridge.exposeInMainWorld('tieLineManager', {
   setLabelColorsBulk: (type, colorMap) => ipcRenderer.invoke('set-label-colors-bulk', type, colorMap),
   onLabelColorsChanged: (cb) => ipcRenderer.on('label-colors-changed', (_, data) => cb(data)),
 
+  // Virtual ports
+  renumberVirtualPorts: () => ipcRenderer.invoke('renumber-virtual-ports'),
+  setVirtualLayout: (layout) => ipcRenderer.invoke('set-virtual-layout', layout),
+
   // BPS buttons
   getBpsButtons: () => ipcRenderer.invoke('get-bps-buttons'),
   saveBpsButton: (button) => ipcRenderer.invoke('save-bps-button', button),
@@ -48,6 +67,20 @@ contextBridge.exposeInMainWorld('tieLineManager', {
   setAutoConnect: (routerId, enabled) => ipcRenderer.invoke('set-auto-connect', routerId, enabled),
   setAutoReconnect: (enabled) => ipcRenderer.invoke('set-auto-reconnect', enabled),
   setAutoProtect: (enabled) => ipcRenderer.invoke('set-auto-protect', enabled),
+  setTieLinePathStrategy: (strategy) => ipcRenderer.invoke('set-tie-line-path-strategy', strategy),
+  setTieLineAllocation: (direction, strategy) => ipcRenderer.invoke('set-tie-line-allocation', direction, strategy),
+  setTieLinePark: (direction, index, input) => ipcRenderer.invoke('set-tie-line-park', direction, index, input),
+  setTieLineStatic: (direction, index, input) => ipcRenderer.invoke('set-tie-line-static', direction, index, input),
+  setTieLineReservation: (direction, count, preempt) => ipcRenderer.invoke('set-tie-line-reservation', direction, count, preempt),
+  setDestinationPriorities: (routerId, outputs) => ipcRenderer.invoke('set-destination-priorities', routerId, outputs),
+  setEquivalentSources: (groups) => ipcRenderer.invoke('set-equivalent-sources', groups),
+  setTieLineConsolidateAt: (percent) => ipcRenderer.invoke('set-tie-line-consolidate-at', percent),
+  setTieLineUsageThresholds: (thresholds) => ipcRenderer.invoke('set-tie-line-usage-thresholds', thresholds),
+  getTieLineUsageAlerts: () => ipcRenderer.invoke('get-tie-line-usage-alerts'),
+  getTieLineUsageReport: () => ipcRenderer.invoke('get-tie-line-usage-report'),
+  exportTieLineUsageReport: () => ipcRenderer.invoke('export-tie-line-usage-report'),
+  setTieLineHistoryRetention: (days) => ipcRenderer.invoke('set-tie-line-history-retention', days),
+  setLevelMap: (levelMap) => ipcRenderer.invoke('set-level-map', levelMap),
 
   // Remote Access (VideoHub Bridge)
   startBridge: () => ipcRenderer.invoke('start-bridge'),
@@ -76,27 +109,25 @@ contextBridge.exposeInMainWorld('tieLineManager', {
   // External
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
 
-  // Router A event listeners
-  onRouterAConnected: (cb) => ipcRenderer.on('router-A-connected', (_, state) => cb(state)),
-  onRouterADisconnected: (cb) => ipcRenderer.on('router-A-disconnected', () => cb()),
-  onRouterAReconnecting: (cb) => ipcRenderer.on('router-A-reconnecting', (_, attempt) => cb(attempt)),
-  onRouterAError: (cb) => ipcRenderer.on('router-A-error', (_, err) => cb(err)),
-  onRouterARoutingChanged: (cb) => ipcRenderer.on('router-A-routing-changed', (_, changes) => cb(changes)),
-  onRouterAInputLabelsChanged: (cb) => ipcRenderer.on('router-A-input-labels-changed', (_, changes) => cb(changes)),
-  onRouterAOutputLabelsChanged: (cb) => ipcRenderer.on('router-A-output-labels-changed', (_, changes) => cb(changes)),
-
-  // Router B event listeners
-  onRouterBConnected: (cb) => ipcRenderer.on('router-B-connected', (_, state) => cb(state)),
-  onRouterBDisconnected: (cb) => ipcRenderer.on('router-B-disconnected', () => cb()),
-  onRouterBReconnecting: (cb) => ipcRenderer.on('router-B-reconnecting', (_, attempt) => cb(attempt)),
-  onRouterBError: (cb) => ipcRenderer.on('router-B-error', (_, err) => cb(err)),
-  onRouterBRoutingChanged: (cb) => ipcRenderer.on('router-B-routing-changed', (_, changes) => cb(changes)),
-  onRouterBInputLabelsChanged: (cb) => ipcRenderer.on('router-B-input-labels-changed', (_, changes) => cb(changes)),
-  onRouterBOutputLabelsChanged: (cb) => ipcRenderer.on('router-B-output-labels-changed', (_, changes) => cb(changes)),
+  // Router event listeners — callbacks receive the router ID first
+  onRouterConnected: (cb) => ipcRenderer.on('router-connected', (_, routerId, state) => cb(routerId, state)),
+  onRouterDisconnected: (cb) => ipcRenderer.on('router-disconnected', (_, routerId) => cb(routerId)),
+  onRouterReconnecting: (cb) => ipcRenderer.on('router-reconnecting', (_, routerId, attempt) => cb(routerId, attempt)),
+  onRouterError: (cb) => ipcRenderer.on('router-error', (_, routerId, err) => cb(routerId, err)),
+  onRouterRoutingChanged: (cb) => ipcRenderer.on('router-routing-changed', (_, routerId, changes) => cb(routerId, changes)),
+  onRouterInputLabelsChanged: (cb) => ipcRenderer.on('router-input-labels-changed', (_, routerId, changes) => cb(routerId, changes)),
+  onRouterOutputLabelsChanged: (cb) => ipcRenderer.on('router-output-labels-changed', (_, routerId, changes) => cb(routerId, changes)),
 
   // Virtual state events
   onVirtualStateUpdated: (cb) => ipcRenderer.on('virtual-state-updated', (_, state) => cb(state)),
   onTieLineStateUpdated: (cb) => ipcRenderer.on('tie-line-state-updated', (_, state) => cb(state)),
+  onRouteQueueUpdated: (cb) => ipcRenderer.on('route-queue-updated', (_, status) => cb(status)),
+  onTieLineMigrationProgress: (cb) => ipcRenderer.on('tie-line-migration-progress', (_, progress) => cb(progress)),
+  onTieLineAuditUpdated: (cb) => ipcRenderer.on('tie-line-audit-updated', (_, issues) => cb(issues)),
+  onTieLineExternalChange: (cb) => ipcRenderer.on('tie-line-external-change', (_, entry) => cb(entry)),
+  onTieLinePreempted: (cb) => ipcRenderer.on('tie-line-preempted', (_, event) => cb(event)),
+  onTieLineUsageAlert: (cb) => ipcRenderer.on('tie-line-usage-alert', (_, alert) => cb(alert)),
+  onTieLinesConsolidated: (cb) => ipcRenderer.on('tie-lines-consolidated', (_, event) => cb(event)),
 
   // Bridge events
   onBridgeStatusUpdated: (cb) => ipcRenderer.on('bridge-status-updated', (_, status) => cb(status)),
@@ -1,88 +1,1075 @@
 const EventEmitter = require('events');
 
+// Tie-line pools are keyed by level, then by direction, e.g. state[0]['A>B']
+// carries level 0 signals from Router A outputs into Router B inputs. Each
+// level has its own pool so a take on one level never disturbs another.
+// Levels here are virtual levels; an optional level map translates each into
+// the physical level carrying it on every router, e.g.
+//   [{ name: 'Video', levels: { A: 0, B: 2 } }, { name: 'Audio 1-2', levels: { A: 1, B: 0 } }]
+// A router missing from an entry uses the same level number; null means the
+// router does not carry that virtual level.
+//
+// A tie-line taken out of service carries outOfService: { status, reason, since }
+// in its config entry, where status is 'faulty' or 'maintenance'. Allocation
+// never picks it, but a route already on it stays until moved or released.
+//
+// A released tie-line can be parked: its output on the source router is routed
+// to a safe input (black, bars) set per tie-line as parkInput in its config
+// entry, or per direction. A tie-line carrying its park input counts as free.
+//
+// The allocation journal lists every in-use tie-line (direction, ports, level,
+// source, destinations, claim time). It is saved by the caller and loaded back
+// on startup; reconstruction trusts a journal entry whose crosspoints still
+// match live routing and falls back to the routing heuristic otherwise.
+//
+// A crosspoint changed outside the engine on an in-use tie-line's output (a
+// hardware panel, another control system) is handled by the external change
+// policy: 'restore' routes the intended source back, 'adopt' accepts the new
+// source for every destination downstream, 'alarm' only reports it.
+//
+// On routers whose controller has setLock (VideoHub), the output of every
+// in-use tie-line is locked so it cannot be re-routed from a panel, and
+// unlocked again once free. The engine remembers which locks it took and
+// journals them, so a lock it finds on a tie-line output is either its own
+// (lock 'engine') or an operator's (lock 'operator'), which is left alone and
+// keeps a free tie-line from being allocated.
+//
+// A static tie-line has staticInput in its config entry: it is pinned to that
+// input on the source router, always in use, kept routed and never released,
+// moved or allocated to anything else. Routes of that source reuse it.
+function directionKey(from, to) {
+  return `${from}>${to}`;
+}
+
+function parseDirection(direction) {
+  const [from, to] = direction.split('>');
+  return { from, to };
+}
+
+function journalKey(level, direction, fromOutput, toInput) {
+  return `${level}|${direction}|${fromOutput}>${toInput}`;
+}
+
+function lockKey(routerId, output) {
+  return `${routerId}:${output}`;
+}
+
+// Path cost comparators. 'least-cost' claims as few new tie-lines as possible
+// (reusing ones already carrying the source), 'shortest' takes the fewest hops.
+const PATH_COMPARATORS = {
+  'least-cost': (a, b) => (a.claims - b.claims) || (a.hops.length - b.hops.length),
+  'shortest': (a, b) => (a.hops.length - b.hops.length) || (a.claims - b.claims)
+};
+
+// Which free tie-line a direction hands out next. Each picks from the free,
+// in-service tie-lines of one pool; usage is shared by every level.
+const ALLOCATION_STRATEGIES = {
+  'first-free': (free) => free[0],
+  'round-robin': (free, lastIndex) => free.find(tl => tl.index > lastIndex) || free[0],
+  'least-recently-used': (free) => free.reduce((best, tl) => (tl.usage.lastClaimed < best.usage.lastClaimed ? tl : best)),
+  'least-total-use': (free) => free.reduce((best, tl) => (tl.usage.useCount < best.usage.useCount ? tl : best))
+};
+
+const EXTERNAL_CHANGE_POLICIES = ['restore', 'adopt', 'alarm'];
+
 class TieLineEngine extends EventEmitter {
-  constructor(controllerA, controllerB, tieLineConfig) {
+  constructor(controllers, tieLineConfig) {
     super();
-    this.controllerA = controllerA;
-    this.controllerB = controllerB;
-    this.config = tieLineConfig || { aToB: [], bToA: [] };
-    this.state = { aToB: [], bToA: [] };
+    this.controllers = { ...controllers };
+    this.config = tieLineConfig || {};
+    this.state = {};
+    this.pathStrategy = 'least-cost';
+    this.levelMap = [];
+    this.allocationStrategies = {};
+
+    // Usage per physical tie-line, keyed by direction and port pair so it
+    // survives config edits: { useCount, lastClaimed, lastReleased }
+    this.usage = {};
+    this._lastClaimed = {};
+
+    // Park inputs per direction, and tie-lines released by the running job
+    this.parkInputs = {};
+    this._released = new Set();
+
+    this.externalChangePolicy = 'alarm';
+
+    // Free tie-lines per direction held back for priority destinations, and
+    // whether a priority destination may pre-empt a lower-priority user:
+    // { [direction]: { count, preempt } }. Priorities are keyed
+    // `${routerId}:${physicalOutput}`; anything above 0 is high priority.
+    this.reservations = {};
+    this.destinationPriorities = {};
+
+    // Usage percentages that raise an alert, and the alert currently raised
+    // for each pool, keyed `${level}:${direction}`
+    this.usageThresholds = [75, 90, 100];
+    this._usageAlerts = {};
+
+    // Usage percentage at which a pool's duplicate tie-lines are consolidated
+    // automatically, or null to only consolidate on request
+    this.consolidateAt = 90;
+
+    // Tie-line outputs this engine has locked, as lockKey(router, output)
+    this._engineLocks = new Set();
+
+    // Journal entries not yet checked against live routing (router offline)
+    this._pendingJournal = [];
+
+    // Outputs seen re-routed since start, as `${router}:${physicalLevel}:${output}`,
+    // so the audit can tell a chosen 1:1 crosspoint from a router's default
+    this._changedOutputs = new Set();
+
+    // Route commands run one at a time; each client has its own FIFO and
+    // clients are served round-robin so one busy client cannot starve another
+    this._routeQueues = new Map();
+    this._routeBusy = false;
+
     this.initializeState();
   }
 
   initializeState() {
-    this.state.aToB = this.config.aToB.map((tl, idx) => ({
-      index: idx,
-      routerAOutput: tl.routerAOutput,
-      routerBInput: tl.routerBInput,
-      status: 'free',
-      sourceInput: null,
-      destinations: []
-    }));
-    this.state.bToA = this.config.bToA.map((tl, idx) => ({
-      index: idx,
-      routerBOutput: tl.routerBOutput,
-      routerAInput: tl.routerAInput,
-      status: 'free',
-      sourceInput: null,
-      destinations: []
+    this.state = {};
+    this._getPools(0);
+  }
+
+  // Pools for one level, created on first use from the tie-lines carrying it.
+  // A tie-line with no levels list carries every level.
+  _getPools(level) {
+    if (!this.state[level]) {
+      const pools = {};
+      for (const [direction, lines] of Object.entries(this.config)) {
+        const { from, to } = parseDirection(direction);
+        pools[direction] = (lines || [])
+          .map((tl, idx) => {
+            const staticInput = Number.isInteger(tl.staticInput) ? tl.staticInput : null;
+            return {
+              index: idx,
+              level,
+              from,
+              to,
+              fromOutput: tl.fromOutput,
+              toInput: tl.toInput,
+              levels: tl.levels,
+              staticInput,
+              status: staticInput !== null ? 'in-use' : 'free',
+              sourceInput: staticInput,
+              destinations: [],
+              outOfService: tl.outOfService || null,
+              usage: this._getUsage(direction, tl),
+              claimedAt: null
+            };
+          })
+          .filter(tl => !tl.levels || tl.levels.includes(level))
+          .map(({ levels, ...tl }) => tl);
+      }
+      this.state[level] = pools;
+    }
+    return this.state[level];
+  }
+
+  _getUsage(direction, tl) {
+    const key = `${direction}:${tl.fromOutput}>${tl.toInput}`;
+    if (!this.usage[key]) this.usage[key] = { useCount: 0, lastClaimed: 0, lastReleased: 0 };
+    return this.usage[key];
+  }
+
+  // Free, in-service tie-line a direction should hand out next, or undefined.
+  // Routes to ordinary destinations (priority 0) cannot take the tie-lines
+  // the direction keeps in reserve; internal callers pass no priority.
+  _pickFreeTieLine(direction, pool, priority = Infinity) {
+    const free = pool.filter(tl => tl.status === 'free' && !tl.outOfService && this._lockOwner(tl) !== 'operator');
+    if (free.length === 0) return undefined;
+    if (priority <= 0 && free.length <= this._reservedCount(direction)) return undefined;
+    const strategy = ALLOCATION_STRATEGIES[this.allocationStrategies[direction]] || ALLOCATION_STRATEGIES['first-free'];
+    return strategy(free, this._lastClaimed[direction] ?? -1);
+  }
+
+  _recordClaim(direction, tieLine) {
+    tieLine.usage.useCount++;
+    tieLine.usage.lastClaimed = Date.now();
+    tieLine.claimedAt = tieLine.usage.lastClaimed;
+    this._lastClaimed[direction] = tieLine.index;
+    this.emit('usage-changed');
+  }
+
+  _recordRelease(tieLine) {
+    tieLine.usage.lastReleased = Date.now();
+    this._released.add(tieLine);
+    this.emit('usage-changed');
+  }
+
+  // Who holds the lock on a tie-line's output: 'engine', 'operator' or null
+  _lockOwner(tieLine) {
+    const lock = this._getController(tieLine.from)?.outputLocks?.[tieLine.fromOutput];
+    if (lock !== 'O' && lock !== 'L') return null;
+    return this._engineLocks.has(lockKey(tieLine.from, tieLine.fromOutput)) ? 'engine' : 'operator';
+  }
+
+  // Static routes and locks are synced after every queued job, before it
+  // resolves, so an empty job is enough
+  syncTieLines(clientId = 'local') {
+    return this._enqueue(clientId, async () => ({ success: true }));
+  }
+
+  // Lock the output of every in-use tie-line and unlock our own locks on
+  // outputs no level is using any more. Run after every queued job.
+  async _syncTieLineLocks() {
+    const inUse = new Set();
+    for (const pools of Object.values(this.state)) {
+      for (const pool of Object.values(pools)) {
+        for (const tl of pool) {
+          if (tl.status === 'in-use') inUse.add(lockKey(tl.from, tl.fromOutput));
+        }
+      }
+    }
+
+    // Every configured tie-line output, plus our locks on ports no longer configured
+    const ports = new Map([...this._engineLocks].map(key => {
+      const [router, output] = key.split(':');
+      return [key, { router, output: parseInt(output) }];
     }));
+    for (const [direction, lines] of Object.entries(this.config)) {
+      const { from } = parseDirection(direction);
+      for (const tl of lines || []) ports.set(lockKey(from, tl.fromOutput), { router: from, output: tl.fromOutput });
+    }
+
+    for (const [key, { router, output }] of ports) {
+      const controller = this._getController(router);
+      if (!this._isConnected(router) || typeof controller.setLock !== 'function') continue;
+      const ours = this._engineLocks.has(key);
+      const current = controller.outputLocks?.[output] || 'U';
+      try {
+        if (inUse.has(key)) {
+          if (current === 'L' && !ours) continue;
+          // A lock of ours showing as 'L' was taken on an earlier connection
+          if (current === 'L') await controller.setLock(output, 'F');
+          if (current !== 'O') await controller.setLock(output, 'O');
+          this._engineLocks.add(key);
+        } else if (ours) {
+          if (current !== 'U') await controller.setLock(output, current === 'L' ? 'F' : 'U');
+          this._engineLocks.delete(key);
+        }
+      } catch (err) {
+        this.emit('lock-failed', { router, error: `Tie-line output ${output + 1} lock failed: ${err.message}` });
+      }
+    }
   }
 
-  updateConfig(tieLineConfig) {
-    this.config = tieLineConfig;
-    this.initializeState();
-    if (this.controllerA?.isConnected() && this.controllerB?.isConnected()) {
-      this.reconstructStateFromRouting();
+  // Route every static tie-line whose output no longer carries its pinned input
+  async _routeStaticTieLines() {
+    for (const [levelKey, pools] of Object.entries(this.state)) {
+      const level = Number(levelKey);
+      for (const pool of Object.values(pools)) {
+        for (const tieLine of pool) {
+          if (tieLine.staticInput === null || !this._isConnected(tieLine.from) || !this._hasLevel(tieLine.from, level)) continue;
+          const controller = this._getController(tieLine.from);
+          const physicalLevel = this._physicalLevel(tieLine.from, level);
+          if (controller.getRoutingForLevel(physicalLevel)?.[tieLine.fromOutput] === tieLine.staticInput) continue;
+          try {
+            await controller.setRoute(tieLine.fromOutput, tieLine.staticInput, physicalLevel);
+          } catch (err) {
+            this.emit('static-route-failed', {
+              router: tieLine.from,
+              error: `Static tie-line ${directionKey(tieLine.from, tieLine.to)} TL${tieLine.index + 1} route failed: ${err.message}`
+            });
+          }
+        }
+      }
     }
+  }
+
+  // Physical input a tie-line is parked on when free, or null
+  _parkInput(tieLine) {
+    const direction = directionKey(tieLine.from, tieLine.to);
+    return this.config[direction]?.[tieLine.index]?.parkInput ?? this.parkInputs[direction] ?? null;
+  }
+
+  // Route tie-lines released by the last job to their park input
+  async _parkReleasedTieLines() {
+    const released = [...this._released];
+    this._released.clear();
+
+    for (const tieLine of released) {
+      // Claimed again by the same job
+      if (tieLine.status !== 'free') continue;
+      const parkInput = this._parkInput(tieLine);
+      const level = this._physicalLevel(tieLine.from, tieLine.level);
+      if (parkInput === null || level < 0 || !this._isConnected(tieLine.from)) continue;
+      try {
+        await this._getController(tieLine.from).setRoute(tieLine.fromOutput, parkInput, level);
+      } catch (err) {
+        this.emit('park-failed', {
+          router: tieLine.from,
+          error: `Parking ${directionKey(tieLine.from, tieLine.to)} tie-line ${tieLine.index + 1} failed: ${err.message}`
+        });
+      }
+    }
+  }
+
+  // VideoHub has no levels property and is single-level
+  _levelCount(routerId) {
+    return this._getController(routerId)?.levels || 1;
+  }
+
+  // Physical level carrying a virtual level on a router, or -1 if it has none
+  _physicalLevel(routerId, level) {
+    let physical = level;
+    if (this.levelMap.length > 0) {
+      const mapped = this.levelMap[level]?.levels?.[routerId];
+      if (!this.levelMap[level] || mapped === null) return -1;
+      if (mapped !== undefined) physical = mapped;
+    }
+    return physical < this._levelCount(routerId) ? physical : -1;
+  }
+
+  _hasLevel(routerId, level) {
+    return this._physicalLevel(routerId, level) >= 0;
+  }
+
+  // Number of virtual levels: the level map's entries, else the deepest router
+  virtualLevelCount() {
+    if (this.levelMap.length > 0) return this.levelMap.length;
+    const connected = Object.keys(this.controllers).filter(id => this._isConnected(id));
+    return Math.max(1, ...connected.map(id => this._levelCount(id)));
+  }
+
+  _levelLabel(level) {
+    return this.levelMap[level]?.name || `level ${level + 1}`;
+  }
+
+  setController(routerId, controller) {
+    if (controller) {
+      this.controllers[routerId] = controller;
+    } else {
+      delete this.controllers[routerId];
+    }
+  }
+
+  _getController(routerId) {
+    return this.controllers[routerId] || null;
+  }
+
+  _isConnected(routerId) {
+    return !!this._getController(routerId)?.isConnected();
+  }
+
+  setPathStrategy(strategy) {
+    if (PATH_COMPARATORS[strategy]) this.pathStrategy = strategy;
+  }
+
+  // strategies: { [direction]: 'first-free' | 'round-robin' | 'least-recently-used' | 'least-total-use' }
+  setAllocationStrategies(strategies) {
+    this.allocationStrategies = {};
+    for (const [direction, strategy] of Object.entries(strategies || {})) {
+      if (ALLOCATION_STRATEGIES[strategy]) this.allocationStrategies[direction] = strategy;
+    }
+  }
+
+  // parkInputs: { [direction]: physical input on the source router }
+  setParkInputs(parkInputs) {
+    this.parkInputs = { ...parkInputs };
+  }
+
+  setExternalChangePolicy(policy) {
+    if (EXTERNAL_CHANGE_POLICIES.includes(policy)) this.externalChangePolicy = policy;
+  }
+
+  // reservations: { [direction]: { count, preempt } }
+  setReservations(reservations) {
+    this.reservations = {};
+    for (const [direction, rule] of Object.entries(reservations || {})) {
+      const count = Number.isInteger(rule?.count) && rule.count > 0 ? rule.count : 0;
+      if (count > 0 || rule?.preempt) this.reservations[direction] = { count, preempt: !!rule.preempt };
+    }
+  }
+
+  // priorities: { [`${routerId}:${physicalOutput}`]: priority }
+  setDestinationPriorities(priorities) {
+    this.destinationPriorities = { ...priorities };
+  }
+
+  _destinationPriority(routerId, physicalOutput) {
+    return this.destinationPriorities[`${routerId}:${physicalOutput}`] || 0;
+  }
+
+  _reservedCount(direction) {
+    return this.reservations[direction]?.count || 0;
+  }
+
+  setAutoConsolidate(percent) {
+    this.consolidateAt = Number.isFinite(percent) && percent > 0 && percent <= 100 ? percent : null;
+  }
+
+  // thresholds: usage percentages (1-100) that raise an alert
+  setUsageThresholds(thresholds) {
+    this.usageThresholds = [...new Set((thresholds || []).filter(t => Number.isFinite(t) && t > 0 && t <= 100))]
+      .sort((a, b) => a - b);
+    this._checkUsageThresholds();
+  }
+
+  // Alerts currently raised: [{ direction, level, threshold, inUse, total, percent, message }]
+  getUsageAlerts() {
+    return Object.values(this._usageAlerts);
+  }
+
+  // Compare each pool's usage with the thresholds and emit 'usage-threshold'
+  // whenever a pool crosses into a different band, including dropping below
+  // the lowest (threshold 0). Static tie-lines are never allocated so they
+  // don't count, and out-of-service ones are not capacity.
+  _checkUsageThresholds() {
+    const seen = new Set();
+    for (const [level, pools] of Object.entries(this.state)) {
+      for (const [direction, pool] of Object.entries(pools)) {
+        const allocatable = pool.filter(tl => tl.staticInput === null);
+        if (allocatable.length === 0) continue;
+        const key = `${level}:${direction}`;
+        seen.add(key);
+
+        const inService = allocatable.filter(tl => !tl.outOfService);
+        const inUse = inService.filter(tl => tl.status !== 'free').length;
+        const percent = inService.length === 0 ? 100 : (inUse / inService.length) * 100;
+        const threshold = this.usageThresholds.filter(t => percent >= t).pop() || 0;
+        const previous = this._usageAlerts[key]?.threshold || 0;
+        if (threshold === previous) {
+          if (threshold > 0) Object.assign(this._usageAlerts[key], { inUse, total: inService.length, percent: Math.floor(percent) });
+          continue;
+        }
+        this._emitUsageAlert(key, { direction, level: Number(level), threshold, previous, inUse, total: inService.length, percent: Math.floor(percent) });
+      }
+    }
+    // Pools that no longer exist drop their alerts
+    for (const [key, alert] of Object.entries(this._usageAlerts)) {
+      if (!seen.has(key)) this._emitUsageAlert(key, { ...alert, threshold: 0, previous: alert.threshold, inUse: 0, total: 0, percent: 0 });
+    }
+  }
+
+  _emitUsageAlert(key, alert) {
+    const { from, to } = parseDirection(alert.direction);
+    const showLevel = alert.level > 0 || this.levelMap.length > 0;
+    const name = `${from}→${to} tie-lines${showLevel ? ` (${this._levelLabel(alert.level)})` : ''}`;
+    let message;
+    if (alert.threshold === 0) {
+      message = `${name} back below ${this.usageThresholds[0] ?? alert.previous}% in use`;
+    } else if (alert.total === 0) {
+      message = `No ${name} in service`;
+    } else if (alert.percent >= 100) {
+      message = `All ${name} in use (${alert.inUse}/${alert.total})`;
+    } else {
+      message = `${name} ${alert.percent}% in use (${alert.inUse}/${alert.total})`;
+    }
+    const event = { ...alert, time: Date.now(), message };
+    if (alert.threshold > 0) this._usageAlerts[key] = event;
+    else delete this._usageAlerts[key];
+    this.emit('usage-threshold', event);
+  }
+
+  // Park every free tie-line in a direction, e.g. after its park input changed
+  parkFreeTieLines(direction, clientId = 'local') {
+    return this._enqueue(clientId, async () => {
+      for (const pools of Object.values(this.state)) {
+        for (const tieLine of pools[direction] || []) {
+          if (tieLine.status === 'free') this._released.add(tieLine);
+        }
+      }
+      return { success: true };
+    });
+  }
+
+  // Pools are keyed by virtual level, so a new map starts them afresh. Both
+  // rebuilds run through the route queue so a take in flight keeps its claims
+  setLevelMap(levelMap, clientId = 'local') {
+    return this._enqueue(clientId, async () => {
+      this.levelMap = Array.isArray(levelMap) ? levelMap : [];
+      this._rebuildState();
+      return { success: true };
+    });
+  }
+
+  updateConfig(tieLineConfig, clientId = 'local') {
+    return this._enqueue(clientId, async () => {
+      this.config = tieLineConfig || {};
+      this._rebuildState();
+      return { success: true };
+    });
+  }
+
+  _rebuildState() {
+    this._pendingJournal = this.getJournal();
+    this.initializeState();
+    this._reconstructStateFromRouting();
     this.emit('state-changed', this.state);
   }
 
+  // Snapshot of every level's pools: { [level]: { [direction]: [tieLine] } }
   getState() {
-    return {
-      aToB: this.state.aToB.map(tl => ({ ...tl, destinations: [...tl.destinations] })),
-      bToA: this.state.bToA.map(tl => ({ ...tl, destinations: [...tl.destinations] }))
-    };
+    const state = {};
+    for (const [level, pools] of Object.entries(this.state)) {
+      state[level] = {};
+      for (const [direction, pool] of Object.entries(pools)) {
+        state[level][direction] = pool.map(tl => ({
+          ...tl,
+          destinations: [...tl.destinations],
+          usage: { ...tl.usage },
+          lock: this._lockOwner(tl)
+        }));
+      }
+    }
+    return state;
+  }
+
+  // Journal of allocations: every in-use tie-line, plus loaded entries that
+  // could not be checked yet because one of their routers is offline
+  getJournal() {
+    const entries = [];
+    for (const [level, pools] of Object.entries(this.state)) {
+      for (const [direction, pool] of Object.entries(pools)) {
+        for (const tl of pool) {
+          if (tl.status !== 'in-use') continue;
+          entries.push({
+            direction,
+            index: tl.index,
+            level: Number(level),
+            fromOutput: tl.fromOutput,
+            toInput: tl.toInput,
+            sourceInput: tl.sourceInput,
+            destinations: [...tl.destinations],
+            claimedAt: tl.claimedAt,
+            locked: this._engineLocks.has(lockKey(tl.from, tl.fromOutput))
+          });
+        }
+      }
+    }
+    const live = new Set(entries.map(e => journalKey(e.level, e.direction, e.fromOutput, e.toInput)));
+    for (const entry of this._pendingJournal) {
+      if (!live.has(journalKey(entry.level, entry.direction, entry.fromOutput, entry.toInput))) entries.push(entry);
+    }
+    return entries;
+  }
+
+  // Journal saved by a previous run; used by the next reconstruction
+  loadJournal(entries) {
+    this._pendingJournal = Array.isArray(entries) ? entries : [];
+  }
+
+  // Usage counters and each direction's last claimed tie-line, for saving
+  // across restarts: { tieLines: { [key]: usage }, lastClaimed: { [direction]: index } }
+  getUsage() {
+    return { tieLines: this.usage, lastClaimed: this._lastClaimed };
+  }
+
+  // Usage saved by a previous run. Records are updated in place, as the
+  // pools already built share them.
+  loadUsage(saved) {
+    for (const [key, usage] of Object.entries(saved?.tieLines || {})) {
+      const record = { useCount: usage.useCount || 0, lastClaimed: usage.lastClaimed || 0, lastReleased: usage.lastReleased || 0 };
+      if (this.usage[key]) {
+        Object.assign(this.usage[key], record);
+      } else {
+        this.usage[key] = record;
+      }
+    }
+    this._lastClaimed = { ...saved?.lastClaimed };
+  }
+
+  // Queue a route; resolves with the route result once it has run.
+  // clientId identifies the requester (UI, salvo, remote client) for fair ordering.
+  executeVirtualRoute(virtualOutput, virtualInput, virtualRouter, level = 0, clientId = 'local') {
+    return this._enqueue(clientId, () => this._executeVirtualRoute(virtualOutput, virtualInput, virtualRouter, level));
+  }
+
+  // Anything that changes tie-line allocation runs through the route queue
+  _enqueue(clientId, run) {
+    return new Promise((resolve) => {
+      if (!this._routeQueues.has(clientId)) this._routeQueues.set(clientId, []);
+      this._routeQueues.get(clientId).push({ run, resolve });
+      this._emitQueueChanged();
+      this._drainRouteQueue();
+    });
   }
 
-  // Top-level route dispatcher
-  async executeVirtualRoute(virtualOutput, virtualInput, virtualRouter, level = 0) {
-    const source = virtualRouter.resolveInput(virtualInput);
+  async _drainRouteQueue() {
+    if (this._routeBusy) return;
+    this._routeBusy = true;
+
+    try {
+      let job;
+      while ((job = this._nextQueuedRoute())) {
+        let result;
+        try {
+          result = await job.run();
+        } catch (err) {
+          result = { success: false, error: err.message };
+        }
+        // Resolve only once the follow-up steps have run, so awaiting any job
+        // means static routes and locks are in sync. A failure there is
+        // reported with the job's result instead of stalling the queue.
+        try {
+          await this._afterJob();
+        } catch (err) {
+          result = { ...result, syncError: err.message };
+        }
+        job.resolve(result);
+      }
+    } finally {
+      this._routeBusy = false;
+    }
+    this._emitQueueChanged();
+  }
+
+  async _afterJob() {
+    await this._autoConsolidate();
+    await this._parkReleasedTieLines();
+    await this._routeStaticTieLines();
+    await this._syncTieLineLocks();
+    this._checkUsageThresholds();
+    this._emitQueueChanged();
+  }
+
+  // Take the next job from the client at the head of the rotation, then move
+  // that client to the back
+  _nextQueuedRoute() {
+    for (const [clientId, jobs] of this._routeQueues) {
+      const job = jobs.shift();
+      this._routeQueues.delete(clientId);
+      if (jobs.length > 0) this._routeQueues.set(clientId, jobs);
+      if (job) return job;
+    }
+    return null;
+  }
+
+  getQueueStatus() {
+    const clients = {};
+    let depth = 0;
+    for (const [clientId, jobs] of this._routeQueues) {
+      clients[clientId] = jobs.length;
+      depth += jobs.length;
+    }
+    return { depth, busy: this._routeBusy, clients };
+  }
+
+  _emitQueueChanged() {
+    this.emit('queue-changed', this.getQueueStatus());
+  }
+
+  // Route dispatcher, only ever run from the queue
+  async _executeVirtualRoute(virtualOutput, virtualInput, virtualRouter, level) {
+    const requested = virtualRouter.resolveSource(virtualInput);
     const dest = virtualRouter.resolveOutput(virtualOutput);
 
-    if (!source || !dest) {
+    if (!requested || !dest) {
       return { success: false, error: 'Invalid virtual index' };
     }
 
+    // Release any tie-line this output was previously fed from on this level,
+    // so the new route can use it; a failed take leaves the destination where
+    // it was, so the release is undone and nothing is parked
+    const snapshot = this._snapshotState();
+    this._cleanupOutputTieLine(dest.router, dest.physicalIndex, level);
+    const source = this._chooseSource(requested, dest.router, dest.physicalIndex, level);
+
     // Same router — direct route, no tie-lines needed
+    const result = source.router === dest.router
+      ? await this._routeDirect(source.router, source.physicalIndex, dest.physicalIndex, level)
+      : await this._routeCross(source.router, dest.router, source.physicalIndex, dest.physicalIndex, level);
+    if (!result.success) {
+      this._restoreState(snapshot);
+      this._released.clear();
+      this.emit('state-changed', this.state);
+      if (source.router !== dest.router) this.emit('cross-route-failed', { from: source.router, to: dest.router, level, error: result.error });
+    }
+    return result;
+  }
+
+  // Take a set of routes [{ output, input, level }] all or nothing, e.g. a
+  // salvo. The whole set is planned first, with routes from the same source
+  // sharing tie-lines; if any route cannot be made (tie-line capacity, a
+  // disconnected router, a locked destination) nothing is sent. Priority
+  // destinations pre-empt as a single take would. Tie-line legs go out
+  // before destination legs, and if a hardware write fails every leg
+  // already written is rolled back.
+  executeVirtualRoutes(routes, virtualRouter, clientId = 'local') {
+    return this._enqueue(clientId, () => this._executeBatch(routes, virtualRouter));
+  }
+
+  async _executeBatch(routes, virtualRouter) {
+    const snapshot = this._snapshotState();
+    const plan = this._planBatch(routes, virtualRouter);
+    if (plan.errors.length > 0) {
+      this._restoreState(snapshot);
+      for (const failure of plan.crossFailures) this.emit('cross-route-failed', failure);
+      return { success: false, error: plan.errors.join('; '), errors: plan.errors, capacity: plan.capacity };
+    }
+
+    // New and pre-empted tie-lines stay reserved while their legs are in flight
+    for (const { tieLine } of [...plan.claimed, ...plan.preemptions]) tieLine.status = 'reserved';
+
+    const applied = [];
+    for (const leg of plan.legs) {
+      const controller = this._getController(leg.router);
+      const previousInput = controller.getRoutingForLevel(leg.level)?.[leg.output];
+      try {
+        await controller.setRoute(leg.output, leg.input, leg.level);
+      } catch (err) {
+        this._restoreState(snapshot);
+        this.emit('state-changed', this.state);
+        const result = await this._rollbackFailure(applied, `Router ${leg.router} route failed: ${err.message}`);
+        return { ...result, errors: [result.error] };
+      }
+      applied.push({ router: leg.router, output: leg.output, previousInput, level: leg.level });
+    }
+
+    for (const tieLine of plan.released) this._recordRelease(tieLine);
+    for (const { direction, tieLine } of [...plan.claimed, ...plan.preemptions]) {
+      tieLine.status = 'in-use';
+      this._recordClaim(direction, tieLine);
+    }
+    this.emit('state-changed', this.state);
+    for (const { direction, tieLine, level, previousSource, preempted } of plan.preemptions) {
+      this.emit('tie-line-preempted', { direction, tieLineIndex: tieLine.index, level, previousSource, preempted });
+    }
+    const preempted = plan.preemptions.flatMap(p => p.preempted);
+    return { success: true, appliedCount: plan.routeCount, capacity: plan.capacity, ...(preempted.length > 0 && { preempted }) };
+  }
+
+  // Bookkeeping for every route in a batch, with the hardware legs collected
+  // rather than sent. Leaves the state as it would be after the batch; the
+  // caller restores a snapshot if it is not taken.
+  _planBatch(routes, virtualRouter) {
+    // A later route to the same destination replaces an earlier one
+    const byDestination = new Map();
+    for (const route of routes) byDestination.set(`${route.level || 0}:${route.output}`, route);
+
+    const errors = [];
+    const tieLineLegs = [];
+    const destinationLegs = [];
+    const claimed = [];
+    const released = [];
+    const preemptions = [];
+    const shortfall = {};
+    const crossFailures = [];
+
+    // First pass: release whatever fed each destination, so tie-lines freed
+    // by one route are available to every other route in the batch
+    const resolved = [];
+    for (const route of byDestination.values()) {
+      const level = route.level || 0;
+      const source = virtualRouter.resolveSource(route.input);
+      const dest = virtualRouter.resolveOutput(route.output);
+      const label = route.outputLabel || `Out ${route.output + 1}`;
+      if (!source || !dest) {
+        errors.push(`${label}: Invalid virtual index`);
+        continue;
+      }
+      if (this._getController(dest.router)?.outputLocks?.[dest.physicalIndex] === 'L') {
+        errors.push(`${label}: Router ${dest.router} output ${dest.physicalIndex + 1} is locked by another operator`);
+        continue;
+      }
+      for (const [direction, pool] of Object.entries(this._getPools(level))) {
+        if (parseDirection(direction).to !== dest.router) continue;
+        const tieLine = pool.find(tl => tl.status === 'in-use' && tl.destinations.includes(dest.physicalIndex));
+        if (tieLine) released.push(...this._detachDestination(tieLine, dest.physicalIndex));
+      }
+      resolved.push({ level, source, dest, label });
+    }
+
+    // Second pass: paths, with claimed tie-lines marked in use straight away
+    // so later routes from the same source share them
+    for (const { level, source: requested, dest, label } of resolved) {
+      const source = this._chooseSource(requested, dest.router, dest.physicalIndex, level);
+      if (source.router === dest.router) {
+        const error = this._checkRouter(source.router, level);
+        if (error) {
+          errors.push(`${label}: ${error}`);
+          continue;
+        }
+        destinationLegs.push({ router: dest.router, output: dest.physicalIndex, input: source.physicalIndex, level: this._physicalLevel(dest.router, level) });
+        continue;
+      }
+
+      const error = this._checkCrossRoute(source.router, dest.router, level);
+      const priority = this._destinationPriority(dest.router, dest.physicalIndex);
+      const path = error ? null : this._findPath(source.router, dest.router, source.physicalIndex, level, priority);
+      // A priority destination takes over a lower-priority tie-line, as a
+      // single take would; one already taken over by this batch is not taken again
+      const victim = error || path ? null : this._preemptionVictim(directionKey(source.router, dest.router), level, priority);
+      if (victim && !preemptions.some(p => p.tieLine === victim.tieLine)) {
+        const { tieLine, destinations } = victim;
+        const previousSource = this._traceOrigin(tieLine);
+        const upstream = this._findIncomingTieLine(tieLine.from, tieLine.sourceInput, level);
+        if (upstream) released.push(...this._detachDestination(upstream, tieLine.fromOutput));
+        tieLine.sourceInput = source.physicalIndex;
+        tieLine.destinations.push(dest.physicalIndex);
+        preemptions.push({ direction: directionKey(tieLine.from, tieLine.to), tieLine, level, previousSource, preempted: destinations });
+        tieLineLegs.push({ router: tieLine.from, output: tieLine.fromOutput, input: source.physicalIndex, level: this._physicalLevel(tieLine.from, level) });
+        destinationLegs.push({ router: dest.router, output: dest.physicalIndex, input: tieLine.toInput, level: this._physicalLevel(dest.router, level) });
+        continue;
+      }
+      if (!path) {
+        errors.push(`${label}: ${error || this._noPathError(source.router, dest.router, level, priority)}`);
+        crossFailures.push({ from: source.router, to: dest.router, level, error: errors[errors.length - 1] });
+        // Routes from the same source would share one tie-line
+        const direction = directionKey(source.router, dest.router);
+        if (!error && this._getPools(level)[direction]?.length > 0) {
+          if (!shortfall[direction]) shortfall[direction] = new Map();
+          shortfall[direction].set(`${level}:${source.physicalIndex}`, level);
+        }
+        continue;
+      }
+
+      let hopSource = source.physicalIndex;
+      path.hops.forEach((hop, i) => {
+        const { tieLine } = hop;
+        if (!hop.reused) {
+          tieLine.status = 'in-use';
+          tieLine.sourceInput = hopSource;
+          tieLine.destinations = [];
+          claimed.push({ direction: hop.direction, tieLine });
+          tieLineLegs.push({ router: tieLine.from, output: tieLine.fromOutput, input: hopSource, level: this._physicalLevel(tieLine.from, level) });
+        }
+        const nextDest = i < path.hops.length - 1 ? path.hops[i + 1].tieLine.fromOutput : dest.physicalIndex;
+        if (!tieLine.destinations.includes(nextDest)) tieLine.destinations.push(nextDest);
+        hopSource = tieLine.toInput;
+      });
+      destinationLegs.push({ router: dest.router, output: dest.physicalIndex, input: hopSource, level: this._physicalLevel(dest.router, level) });
+    }
+
+    // Tie-lines each direction needs (one per claim, plus one per source left
+    // without a path) against the free, in-service, unreserved tie-lines it
+    // had once the batch's old routes were released, for the error report
+    const capacity = {};
+    const levels = {};
+    const count = (direction, level) => {
+      if (!capacity[direction]) capacity[direction] = { needed: 0, available: 0 };
+      if (!levels[direction]) levels[direction] = new Set();
+      levels[direction].add(level);
+      capacity[direction].needed++;
+    };
+    for (const { direction, tieLine } of claimed) count(direction, tieLine.level);
+    for (const [direction, sources] of Object.entries(shortfall)) {
+      for (const level of sources.values()) count(direction, level);
+    }
+    for (const [direction, directionLevels] of Object.entries(levels)) {
+      for (const level of directionLevels) {
+        const free = (this._getPools(level)[direction] || [])
+          .filter(tl => (tl.status === 'free' || claimed.some(c => c.tieLine === tl))
+            && !tl.outOfService && this._lockOwner(tl) !== 'operator').length;
+        capacity[direction].available += Math.max(0, free - this._reservedCount(direction));
+      }
+    }
+    for (const direction of Object.keys(shortfall)) {
+      const { from, to } = parseDirection(direction);
+      errors.unshift(`Not enough ${from}→${to} tie-lines: ${capacity[direction].needed} needed, ${capacity[direction].available} available`);
+    }
+
+    return {
+      errors,
+      legs: [...tieLineLegs, ...destinationLegs],
+      claimed,
+      released: released.filter(tl => tl.status === 'free'),
+      preemptions,
+      capacity,
+      crossFailures,
+      routeCount: byDestination.size
+    };
+  }
+
+  // Mutable fields of every tie-line, so a batch can be undone
+  _snapshotState() {
+    return Object.values(this.state)
+      .flatMap(pools => Object.values(pools).flat())
+      .map(tl => ({ tl, status: tl.status, sourceInput: tl.sourceInput, destinations: [...tl.destinations], claimedAt: tl.claimedAt, usage: { ...tl.usage } }));
+  }
+
+  // Usage records are shared with this.usage, so they are restored in place
+  _restoreState(snapshot) {
+    for (const { tl, usage, ...fields } of snapshot) {
+      Object.assign(tl, fields);
+      Object.assign(tl.usage, usage);
+    }
+  }
+
+  // Dry run of executeVirtualRoute: the physical operations it would issue and
+  // every failure that can be predicted, without touching hardware or state.
+  // Returns { success, error, failures, operations, tieLines } where each
+  // operation is { router, output, input, level, purpose, direction?, tieLineIndex? }
+  // with purpose 'tie-line', 'destination' or 'park', and each tie-line entry
+  // is { direction, tieLineIndex, action } with action 'reuse', 'claim',
+  // 'release' or 'preempt'. preempted lists the { router, output } destinations
+  // a pre-emption would take the tie-line from.
+  planVirtualRoute(virtualOutput, virtualInput, virtualRouter, level = 0) {
+    const requested = virtualRouter.resolveSource(virtualInput);
+    const dest = virtualRouter.resolveOutput(virtualOutput);
+    if (!requested || !dest) {
+      return { success: false, error: 'Invalid virtual index', failures: ['Invalid virtual index'], operations: [], tieLines: [], preempted: [] };
+    }
+
+    const failures = [];
+    const operations = [];
+    const tieLines = [];
+    const preempted = [];
+    const route = (router, output, input, purpose, tieLine = null) => operations.push({
+      router,
+      output,
+      input,
+      level: this._physicalLevel(router, level),
+      purpose,
+      ...(tieLine && { direction: directionKey(tieLine.from, tieLine.to), tieLineIndex: tieLine.index })
+    });
+
+    const released = this._plannedReleases(dest.router, dest.physicalIndex, level);
+    for (const tieLine of released) {
+      tieLines.push({ direction: directionKey(tieLine.from, tieLine.to), tieLineIndex: tieLine.index, action: 'release' });
+    }
+    const source = this._withTieLinesFreed(released, () => this._chooseSource(requested, dest.router, dest.physicalIndex, level));
+
+    const claimed = new Set();
     if (source.router === dest.router) {
-      // First, clean up any tie-line this output was previously using
-      await this._cleanupOutputTieLine(source.router, dest.router, dest.physicalIndex);
-      return this._routeDirect(source.router, source.physicalIndex, dest.physicalIndex, level);
+      const error = this._checkRouter(source.router, level);
+      if (error) failures.push(error);
+      route(dest.router, dest.physicalIndex, source.physicalIndex, 'destination');
+    } else {
+      const error = this._checkCrossRoute(source.router, dest.router, level);
+      const priority = this._destinationPriority(dest.router, dest.physicalIndex);
+      const path = error ? null : this._withTieLinesFreed(released, () => this._findPath(source.router, dest.router, source.physicalIndex, level, priority));
+      const victim = error || path ? null : this._withTieLinesFreed(released, () => this._preemptionVictim(directionKey(source.router, dest.router), level, priority));
+      if (error) {
+        failures.push(error);
+      } else if (victim) {
+        const { tieLine } = victim;
+        tieLines.push({ direction: directionKey(tieLine.from, tieLine.to), tieLineIndex: tieLine.index, action: 'preempt' });
+        preempted.push(...victim.destinations);
+        route(tieLine.from, tieLine.fromOutput, source.physicalIndex, 'tie-line', tieLine);
+        route(dest.router, dest.physicalIndex, tieLine.toInput, 'destination');
+      } else if (!path) {
+        failures.push(this._noPathError(source.router, dest.router, level, priority));
+      } else {
+        let hopSource = source.physicalIndex;
+        for (const hop of path.hops) {
+          tieLines.push({ direction: hop.direction, tieLineIndex: hop.tieLine.index, action: hop.reused ? 'reuse' : 'claim' });
+          if (!hop.reused) {
+            claimed.add(hop.tieLine);
+            route(hop.tieLine.from, hop.tieLine.fromOutput, hopSource, 'tie-line', hop.tieLine);
+          }
+          hopSource = hop.tieLine.toInput;
+        }
+        route(dest.router, dest.physicalIndex, hopSource, 'destination');
+      }
+    }
+
+    // Only another operator's lock stops the take; 'O' is this app's own
+    if (this._getController(dest.router)?.outputLocks?.[dest.physicalIndex] === 'L') {
+      failures.push(`Router ${dest.router} output ${dest.physicalIndex + 1} is locked by another operator`);
     }
 
-    // Cross-router routing
-    if (source.router === 'A' && dest.router === 'B') {
-      await this._handleOutputReassignment('aToB', dest.physicalIndex);
-      return this._routeAToB(source.physicalIndex, dest.physicalIndex, level);
+    // A failed take is undone, so nothing is released or parked
+    if (failures.length > 0) {
+      return { success: false, error: failures[0], failures, operations, tieLines: tieLines.filter(t => t.action !== 'release'), preempted };
     }
 
-    if (source.router === 'B' && dest.router === 'A') {
-      await this._handleOutputReassignment('bToA', dest.physicalIndex);
-      return this._routeBToA(source.physicalIndex, dest.physicalIndex, level);
+    // Released tie-lines are parked afterwards unless this route claims them again
+    for (const tieLine of released) {
+      const parkInput = this._parkInput(tieLine);
+      if (claimed.has(tieLine) || parkInput === null || !this._hasLevel(tieLine.from, level)) continue;
+      route(tieLine.from, tieLine.fromOutput, parkInput, 'park', tieLine);
     }
 
-    return { success: false, error: 'Unknown routing scenario' };
+    return { success: failures.length === 0, error: failures[0], failures, operations, tieLines, preempted };
+  }
+
+  // Tie-lines _cleanupOutputTieLine would free when this output is re-routed,
+  // following multi-hop chains upstream
+  _plannedReleases(destRouter, destOutput, level) {
+    const released = [];
+    const detach = (tieLine, dest) => {
+      if (tieLine.staticInput !== null || tieLine.destinations.some(d => d !== dest)) return;
+      released.push(tieLine);
+      const upstream = this._findIncomingTieLine(tieLine.from, tieLine.sourceInput, level);
+      if (upstream) detach(upstream, tieLine.fromOutput);
+    };
+    for (const [direction, pool] of Object.entries(this._getPools(level))) {
+      if (parseDirection(direction).to !== destRouter) continue;
+      const tieLine = pool.find(tl => tl.status === 'in-use' && tl.destinations.includes(destOutput));
+      if (tieLine) detach(tieLine, destOutput);
+    }
+    return released;
+  }
+
+  // Run fn with some in-use tie-lines briefly marked free, e.g. to find the
+  // path a route would take once its old tie-lines are released
+  _withTieLinesFreed(tieLines, fn) {
+    const saved = tieLines.map(tl => ({ tl, status: tl.status, sourceInput: tl.sourceInput, destinations: tl.destinations }));
+    for (const tl of tieLines) {
+      tl.status = 'free';
+      tl.sourceInput = null;
+      tl.destinations = [];
+    }
+    try {
+      return fn();
+    } finally {
+      for (const { tl, status, sourceInput, destinations } of saved) Object.assign(tl, { status, sourceInput, destinations });
+    }
+  }
+
+  // Which copy of an equivalent source to route from: the one on the
+  // destination's router if there is one, else the copy with the cheapest
+  // tie-line path, else the copy shown in the matrix so the failure names it
+  _chooseSource(source, destRouter, destOutput, level) {
+    if (!source.equivalents) return source;
+    const copies = source.equivalents.filter(copy => !this._checkRouter(copy.router, level));
+    const local = copies.find(copy => copy.router === destRouter);
+    if (local) return local;
+
+    const priority = this._destinationPriority(destRouter, destOutput);
+    const compare = PATH_COMPARATORS[this.pathStrategy];
+    let best = null;
+    for (const copy of copies) {
+      if (this._checkCrossRoute(copy.router, destRouter, level)) continue;
+      const path = this._findPath(copy.router, destRouter, copy.physicalIndex, level, priority);
+      if (path && (!best || compare(path, best.path) < 0)) best = { copy, path };
+    }
+    return best ? best.copy : source;
+  }
+
+  // Why a router cannot take a route on a level, or null
+  _checkRouter(router, level) {
+    if (!this._isConnected(router)) return `Router ${router} is not connected`;
+    if (!this._hasLevel(router, level)) return `Router ${router} has no ${this._levelLabel(level)}`;
+    return null;
+  }
+
+  // Why a cross-router route cannot be attempted at all, or null
+  _checkCrossRoute(fromRouter, toRouter, level) {
+    if (!this._hasTopologyPath(fromRouter, toRouter, level)) {
+      const levelNote = level > 0 || this.levelMap.length > 0 ? ` on ${this._levelLabel(level)}` : '';
+      return `No ${fromRouter}→${toRouter} tie-lines configured${levelNote}`;
+    }
+    return this._checkRouter(fromRouter, level) || this._checkRouter(toRouter, level);
+  }
+
+  // Failure message when no tie-line path is available
+  _noPathError(fromRouter, toRouter, level, priority = Infinity) {
+    const direction = directionKey(fromRouter, toRouter);
+    const directPool = this._getPools(level)[direction];
+    if (directPool?.length > 0) {
+      const total = directPool.filter(tl => !tl.outOfService).length;
+      if (total === 0) {
+        return `All ${fromRouter}→${toRouter} tie-lines are out of service. Cannot route across routers.`;
+      }
+      const free = directPool.filter(tl => tl.status === 'free' && !tl.outOfService).length;
+      if (priority <= 0 && free > 0 && free <= this._reservedCount(direction)) {
+        return `The remaining ${free} ${fromRouter}→${toRouter} tie-line${free === 1 ? ' is' : 's are'} reserved for priority destinations. Cannot route across routers.`;
+      }
+      return `All ${fromRouter}→${toRouter} tie-lines are in use (${total}/${total}). Cannot route across routers.`;
+    }
+    return `No free tie-line path from Router ${fromRouter} to Router ${toRouter}. Cannot route across routers.`;
   }
 
   // Direct route within the same router
   async _routeDirect(router, sourceInput, destOutput, level) {
     try {
-      const controller = router === 'A' ? this.controllerA : this.controllerB;
-      if (!controller?.isConnected()) {
-        return { success: false, error: `Router ${router} is not connected` };
-      }
-      await controller.setRoute(destOutput, sourceInput, level);
+      const error = this._checkRouter(router, level);
+      if (error) return { success: false, error };
+      await this._getController(router).setRoute(destOutput, sourceInput, this._physicalLevel(router, level));
       this.emit('state-changed', this.state);
       return { success: true, direct: true };
     } catch (err) {
@@ -90,270 +1077,1009 @@ class TieLineEngine extends EventEmitter {
     }
   }
 
-  // Route Router A source to Router B destination via tie-line
-  async _routeAToB(sourceInput, destOutput, level) {
-    if (!this.controllerA?.isConnected()) {
-      return { success: false, error: 'Router A is not connected' };
+  // Find the cheapest chain of tie-lines carrying sourceInput from one router
+  // to another. Each hop reuses a tie-line already carrying the signal when
+  // possible, otherwise claims a free one. Returns { claims, hops } or null.
+  _findPath(fromRouter, toRouter, sourceInput, level, priority = Infinity) {
+    const compare = PATH_COMPARATORS[this.pathStrategy];
+    const queue = [{ router: fromRouter, input: sourceInput, claims: 0, hops: [] }];
+    const settled = new Set();
+
+    while (queue.length > 0) {
+      queue.sort(compare);
+      const node = queue.shift();
+      if (settled.has(node.router)) continue;
+      settled.add(node.router);
+      if (node.router === toRouter) return node;
+
+      for (const [direction, pool] of Object.entries(this._getPools(level))) {
+        const { from, to } = parseDirection(direction);
+        if (from !== node.router || settled.has(to) || !this._isConnected(to)) continue;
+        if (!this._hasLevel(to, level)) continue;
+
+        const carrying = pool.filter(tl => tl.status === 'in-use' && !tl.outOfService && tl.sourceInput === node.input);
+        let tieLine = carrying.find(tl => tl.staticInput !== null) || carrying[0];
+        const reused = !!tieLine;
+        if (!tieLine) tieLine = this._pickFreeTieLine(direction, pool, priority);
+        if (!tieLine) continue;
+
+        queue.push({
+          router: to,
+          input: tieLine.toInput,
+          claims: node.claims + (reused ? 0 : 1),
+          hops: [...node.hops, { direction, tieLine, reused }]
+        });
+      }
     }
-    if (!this.controllerB?.isConnected()) {
-      return { success: false, error: 'Router B is not connected' };
+    return null;
+  }
+
+  // Is there any configured chain of tie-lines between two routers, ignoring availability?
+  _hasTopologyPath(fromRouter, toRouter, level) {
+    const visited = new Set([fromRouter]);
+    const queue = [fromRouter];
+    while (queue.length > 0) {
+      const router = queue.shift();
+      if (router === toRouter) return true;
+      for (const [direction, pool] of Object.entries(this._getPools(level))) {
+        const { from, to } = parseDirection(direction);
+        if (from === router && pool.length > 0 && !visited.has(to)) {
+          visited.add(to);
+          queue.push(to);
+        }
+      }
     }
+    return false;
+  }
 
-    // Check if source is already on a tie-line (reuse)
-    let tieLine = this.state.aToB.find(
-      tl => tl.status === 'in-use' && tl.sourceInput === sourceInput
-    );
+  // Route a source on one router to a destination on another through one or
+  // more tie-lines, passing through intermediate routers where needed
+  async _routeCross(fromRouter, toRouter, sourceInput, destOutput, level) {
+    const error = this._checkCrossRoute(fromRouter, toRouter, level);
+    if (error) return { success: false, error };
 
-    if (tieLine) {
-      // Reuse existing tie-line — just route on Router B side
-      try {
-        await this.controllerB.setRoute(destOutput, tieLine.routerBInput, level);
-        if (!tieLine.destinations.includes(destOutput)) {
-          tieLine.destinations.push(destOutput);
-        }
-        this.emit('state-changed', this.state);
-        return { success: true, tieLineIndex: tieLine.index, reused: true };
-      } catch (err) {
-        return { success: false, error: `Router B route failed: ${err.message}` };
+    const priority = this._destinationPriority(toRouter, destOutput);
+    const path = this._findPath(fromRouter, toRouter, sourceInput, level, priority);
+    if (!path) {
+      const victim = this._preemptionVictim(directionKey(fromRouter, toRouter), level, priority);
+      if (victim) return this._routePreempting(victim, sourceInput, destOutput, level);
+      return { success: false, error: this._noPathError(fromRouter, toRouter, level, priority) };
+    }
+
+    // Reserve newly claimed tie-lines before the first await so nothing else
+    // can pick them while the physical routes are in flight
+    let hopSource = sourceInput;
+    const reserved = [];
+    for (const hop of path.hops) {
+      if (!hop.reused) {
+        hop.tieLine.status = 'reserved';
+        hop.tieLine.sourceInput = hopSource;
+        hop.tieLine.destinations = [];
+        reserved.push(hop.tieLine);
       }
+      hopSource = hop.tieLine.toInput;
     }
 
-    // Need a new tie-line
-    tieLine = this.state.aToB.find(tl => tl.status === 'free');
-    if (!tieLine) {
-      const total = this.state.aToB.length;
-      return {
-        success: false,
-        error: `All A→B tie-lines are in use (${total}/${total}). Cannot route across routers.`
-      };
+    // Physically route each newly claimed hop, source-side first, remembering
+    // the crosspoint each tie-line output held so a failed route can be undone.
+    // Each leg is taken on the physical level that router uses for this level.
+    const applied = [];
+    hopSource = sourceInput;
+    for (const hop of path.hops) {
+      const { from } = parseDirection(hop.direction);
+      if (!hop.reused) {
+        const controller = this._getController(from);
+        const physicalLevel = this._physicalLevel(from, level);
+        const previousInput = controller.getRoutingForLevel(physicalLevel)?.[hop.tieLine.fromOutput];
+        try {
+          await controller.setRoute(hop.tieLine.fromOutput, hopSource, physicalLevel);
+        } catch (err) {
+          this._releaseReservations(reserved);
+          return this._rollbackFailure(applied, `Router ${from} route failed: ${err.message}`);
+        }
+        applied.push({ router: from, output: hop.tieLine.fromOutput, previousInput, level: physicalLevel });
+      }
+      hopSource = hop.tieLine.toInput;
     }
 
-    // Step 1: Route source to tie-line output on Router A
+    // Final leg on the destination router
+    const lastHop = path.hops[path.hops.length - 1];
     try {
-      await this.controllerA.setRoute(tieLine.routerAOutput, sourceInput, level);
+      await this._getController(toRouter).setRoute(destOutput, lastHop.tieLine.toInput, this._physicalLevel(toRouter, level));
     } catch (err) {
-      return { success: false, error: `Router A route failed: ${err.message}` };
+      this._releaseReservations(reserved);
+      return this._rollbackFailure(applied, `Router ${toRouter} route failed: ${err.message}`);
     }
 
-    // Step 2: Route tie-line input to destination on Router B
+    // Record every hop; each tie-line's destination is the next hop's output
+    hopSource = sourceInput;
+    path.hops.forEach((hop, i) => {
+      const tieLine = hop.tieLine;
+      const nextDest = i < path.hops.length - 1 ? path.hops[i + 1].tieLine.fromOutput : destOutput;
+      if (!hop.reused) {
+        tieLine.status = 'in-use';
+        tieLine.sourceInput = hopSource;
+        tieLine.destinations = [];
+        this._recordClaim(hop.direction, tieLine);
+      }
+      if (!tieLine.destinations.includes(nextDest)) tieLine.destinations.push(nextDest);
+      hopSource = tieLine.toInput;
+    });
+    this.emit('state-changed', this.state);
+
+    const hops = path.hops.map(hop => ({ direction: hop.direction, tieLineIndex: hop.tieLine.index, reused: hop.reused }));
+    return {
+      success: true,
+      direction: hops[0].direction,
+      tieLineIndex: hops[0].tieLineIndex,
+      reused: hops.every(hop => hop.reused),
+      hops
+    };
+  }
+
+  // Lowest-priority in-use tie-line a priority destination may take over when
+  // its direct pool is full, or null. A tie-line ranks as its highest-priority
+  // destination; ties go to the one feeding the fewest destinations.
+  // Returns { tieLine, destinations }.
+  _preemptionVictim(direction, level, priority) {
+    if (!this.reservations[direction]?.preempt || priority <= 0) return null;
+    const candidates = (this._getPools(level)[direction] || [])
+      .filter(tl => tl.status === 'in-use' && tl.staticInput === null && !tl.outOfService && this._lockOwner(tl) !== 'operator')
+      .map(tieLine => {
+        const destinations = this._downstreamDestinations(tieLine);
+        const rank = Math.max(0, ...destinations.map(d => this._destinationPriority(d.router, d.output)));
+        return { tieLine, destinations, rank };
+      })
+      .filter(candidate => candidate.rank < priority)
+      .sort((a, b) => (a.rank - b.rank) || (a.destinations.length - b.destinations.length));
+    return candidates[0] || null;
+  }
+
+  // Take over an in-use tie-line for a priority destination: the tie-line is
+  // re-routed to the new source, so every destination it fed now shows that
+  // source and is reported back as pre-empted
+  async _routePreempting(victim, sourceInput, destOutput, level) {
+    const { tieLine, destinations } = victim;
+    const direction = directionKey(tieLine.from, tieLine.to);
+    const saved = { status: tieLine.status, sourceInput: tieLine.sourceInput, destinations: [...tieLine.destinations] };
+    const previousSource = this._traceOrigin(tieLine);
+    const upstream = this._findIncomingTieLine(tieLine.from, tieLine.sourceInput, level);
+
+    const controller = this._getController(tieLine.from);
+    const physicalLevel = this._physicalLevel(tieLine.from, level);
+    const previousInput = controller.getRoutingForLevel(physicalLevel)?.[tieLine.fromOutput];
+    tieLine.status = 'reserved';
+    try {
+      await controller.setRoute(tieLine.fromOutput, sourceInput, physicalLevel);
+    } catch (err) {
+      Object.assign(tieLine, saved);
+      return { success: false, error: `Router ${tieLine.from} route failed: ${err.message}` };
+    }
     try {
-      await this.controllerB.setRoute(destOutput, tieLine.routerBInput, level);
+      await this._getController(tieLine.to).setRoute(destOutput, tieLine.toInput, this._physicalLevel(tieLine.to, level));
     } catch (err) {
-      return {
-        success: false,
-        error: `Router B route failed: ${err.message}. Router A was routed but Router B failed.`,
-        partialFailure: true
-      };
+      Object.assign(tieLine, saved);
+      const applied = [{ router: tieLine.from, output: tieLine.fromOutput, previousInput, level: physicalLevel }];
+      return this._rollbackFailure(applied, `Router ${tieLine.to} route failed: ${err.message}`);
     }
 
-    // Both succeeded
     tieLine.status = 'in-use';
     tieLine.sourceInput = sourceInput;
-    tieLine.destinations = [destOutput];
+    tieLine.destinations = [...saved.destinations, destOutput];
+    if (upstream) {
+      for (const freed of this._detachDestination(upstream, tieLine.fromOutput)) this._recordRelease(freed);
+    }
+    this._recordClaim(direction, tieLine);
     this.emit('state-changed', this.state);
-    return { success: true, tieLineIndex: tieLine.index, reused: false };
+
+    const preemption = { direction, tieLineIndex: tieLine.index, level, previousSource, preempted: destinations };
+    this.emit('tie-line-preempted', preemption);
+    return {
+      success: true,
+      direction,
+      tieLineIndex: tieLine.index,
+      reused: false,
+      hops: [{ direction, tieLineIndex: tieLine.index, reused: false }],
+      preempted: destinations,
+      previousSource
+    };
   }
 
-  // Route Router B source to Router A destination via tie-line (symmetric)
-  async _routeBToA(sourceInput, destOutput, level) {
-    if (!this.controllerB?.isConnected()) {
-      return { success: false, error: 'Router B is not connected' };
-    }
-    if (!this.controllerA?.isConnected()) {
-      return { success: false, error: 'Router A is not connected' };
+  _releaseReservations(tieLines) {
+    for (const tieLine of tieLines) {
+      if (tieLine.status !== 'reserved') continue;
+      tieLine.status = 'free';
+      tieLine.sourceInput = null;
+      tieLine.destinations = [];
     }
+  }
 
-    // Check if source is already on a tie-line (reuse)
-    let tieLine = this.state.bToA.find(
-      tl => tl.status === 'in-use' && tl.sourceInput === sourceInput
-    );
+  // Restore tie-line outputs routed so far (newest first) after a later leg
+  // failed, and build the failure result reporting whether that worked
+  async _rollbackFailure(applied, error) {
+    if (applied.length === 0) return { success: false, error };
 
-    if (tieLine) {
+    const rollbackErrors = [];
+    for (const leg of [...applied].reverse()) {
+      if (leg.previousInput === undefined) {
+        rollbackErrors.push(`Router ${leg.router} output ${leg.output + 1}: previous source unknown`);
+        continue;
+      }
       try {
-        await this.controllerA.setRoute(destOutput, tieLine.routerAInput, level);
-        if (!tieLine.destinations.includes(destOutput)) {
-          tieLine.destinations.push(destOutput);
-        }
-        this.emit('state-changed', this.state);
-        return { success: true, tieLineIndex: tieLine.index, reused: true };
+        await this._getController(leg.router).setRoute(leg.output, leg.previousInput, leg.level);
       } catch (err) {
-        return { success: false, error: `Router A route failed: ${err.message}` };
+        rollbackErrors.push(`Router ${leg.router} output ${leg.output + 1}: ${err.message}`);
       }
     }
 
-    // Need a new tie-line
-    tieLine = this.state.bToA.find(tl => tl.status === 'free');
-    if (!tieLine) {
-      const total = this.state.bToA.length;
-      return {
-        success: false,
-        error: `All B→A tie-lines are in use (${total}/${total}). Cannot route across routers.`
-      };
+    const routers = [...new Set(applied.map(leg => leg.router))].join(', ');
+    if (rollbackErrors.length === 0) {
+      return { success: false, error: `${error}. Router ${routers} tie-line routing was rolled back.`, rolledBack: true };
     }
+    return {
+      success: false,
+      error: `${error}. Rollback failed (${rollbackErrors.join('; ')}); tie-line output left routed.`,
+      partialFailure: true,
+      rolledBack: false,
+      rollbackErrors
+    };
+  }
 
-    // Step 1: Route source to tie-line output on Router B
-    try {
-      await this.controllerB.setRoute(tieLine.routerBOutput, sourceInput, level);
-    } catch (err) {
-      return { success: false, error: `Router B route failed: ${err.message}` };
+  // Take a tie-line out of service ('faulty' or 'maintenance') or return it to
+  // service (status null). Routes on it move to a healthy tie-line where one is free.
+  setTieLineService(direction, index, status, reason = '', clientId = 'local') {
+    return this._enqueue(clientId, () => this._setTieLineService(direction, index, status, reason));
+  }
+
+  async _setTieLineService(direction, index, status, reason) {
+    const config = this.config[direction]?.[index];
+    if (!config) return { success: false, error: `No tie-line ${index + 1} in ${direction}` };
+
+    // Editing the reason keeps the time the tie-line first went to this status
+    const since = config.outOfService?.status === status ? config.outOfService.since : new Date().toISOString();
+    const outOfService = status ? { status, reason: reason || '', since } : null;
+    if (outOfService) {
+      config.outOfService = outOfService;
+    } else {
+      delete config.outOfService;
     }
 
-    // Step 2: Route tie-line input to destination on Router A
-    try {
-      await this.controllerA.setRoute(destOutput, tieLine.routerAInput, level);
-    } catch (err) {
-      return {
-        success: false,
-        error: `Router A route failed: ${err.message}. Router B was routed but Router A failed.`,
-        partialFailure: true
-      };
+    const moved = [];
+    const stranded = [];
+    for (const level of Object.keys(this.state).map(Number)) {
+      const tieLine = this.state[level][direction]?.find(tl => tl.index === index);
+      if (!tieLine) continue;
+      tieLine.outOfService = outOfService;
+      if (!outOfService || tieLine.status !== 'in-use' || tieLine.staticInput !== null) continue;
+
+      const target = this._pickFreeTieLine(direction, this.state[level][direction]);
+      const result = target
+        ? await this._migrateTieLine(tieLine, target, level, direction)
+        : { success: false, error: `No free ${direction} tie-line to move routes onto` };
+      if (result.success) {
+        moved.push({ level, tieLineIndex: target.index, destinations: result.moved });
+      } else {
+        stranded.push({ level, destinations: [...tieLine.destinations], error: result.error });
+      }
     }
 
-    tieLine.status = 'in-use';
-    tieLine.sourceInput = sourceInput;
-    tieLine.destinations = [destOutput];
     this.emit('state-changed', this.state);
-    return { success: true, tieLineIndex: tieLine.index, reused: false };
+    if (stranded.length > 0) {
+      return { success: false, error: `Tie-line ${index + 1} still carries routes: ${stranded[0].error}`, moved, stranded };
+    }
+    return { success: true, moved };
   }
 
-  // Clean up tie-line when an output is being re-routed to a same-router source
-  async _cleanupOutputTieLine(sourceRouter, destRouter, destPhysicalOutput) {
-    // If this output was previously using a cross-router tie-line, release it
-    if (destRouter === 'A') {
-      // Was this output using a B→A tie-line?
-      const tieLine = this.state.bToA.find(
-        tl => tl.status === 'in-use' && tl.destinations.includes(destPhysicalOutput)
-      );
-      if (tieLine) {
-        this._releaseTieLineDestination('bToA', tieLine.index, destPhysicalOutput);
+  // Pin a tie-line to an input on its source router (input null unpins). Routes
+  // it carries for any other source move to a free tie-line first; if none is
+  // free the pin is refused and nothing changes.
+  setTieLineStatic(direction, index, input, clientId = 'local') {
+    return this._enqueue(clientId, () => this._setTieLineStatic(direction, index, input));
+  }
+
+  async _setTieLineStatic(direction, index, input) {
+    const config = this.config[direction]?.[index];
+    if (!config) return { success: false, error: `No tie-line ${index + 1} in ${direction}` };
+
+    if (input === null) {
+      delete config.staticInput;
+      this._rebuildState();
+      return { success: true, moved: [] };
+    }
+
+    const busy = [];
+    for (const level of Object.keys(this.state).map(Number)) {
+      const pool = this.state[level][direction] || [];
+      const tieLine = pool.find(tl => tl.index === index);
+      if (tieLine?.status !== 'in-use' || tieLine.sourceInput === input) continue;
+      const target = this._pickFreeTieLine(direction, pool);
+      if (!target) {
+        return { success: false, error: `Tie-line ${index + 1} is carrying another source on ${this._levelLabel(level)} and no free ${direction} tie-line can take its routes` };
+      }
+      busy.push({ level, tieLine, target });
+    }
+
+    const moved = [];
+    for (const { level, tieLine, target } of busy) {
+      const result = await this._migrateTieLine(tieLine, target, level, direction);
+      moved.push({ level, tieLineIndex: target.index, destinations: result.moved });
+      if (!result.success) return { success: false, error: `Tie-line ${index + 1} not pinned: ${result.error}`, moved };
+    }
+
+    config.staticInput = input;
+    this._rebuildState();
+    return { success: true, moved };
+  }
+
+  // Make-before-break move of every route on a tie-line onto another free
+  // tie-line in the same direction (the first free one unless targetIndex is
+  // given), on each level the tie-line is in use. Progress is emitted as
+  // 'migration-progress' events while it runs.
+  migrateTieLine(direction, index, targetIndex = null, clientId = 'local') {
+    return this._enqueue(clientId, () => this._migrateTieLineAllLevels(direction, index, targetIndex));
+  }
+
+  async _migrateTieLineAllLevels(direction, index, targetIndex) {
+    if (!this.config[direction]?.[index]) return { success: false, error: `No tie-line ${index + 1} in ${direction}` };
+    if (targetIndex === index) return { success: false, error: 'Cannot move a tie-line onto itself' };
+    if (Number.isInteger(this.config[direction][index].staticInput)) {
+      return { success: false, error: `Tie-line ${index + 1} is static and cannot be moved` };
+    }
+
+    const migrations = [];
+    for (const level of Object.keys(this.state).map(Number)) {
+      const pool = this.state[level][direction] || [];
+      const tieLine = pool.find(tl => tl.index === index);
+      if (tieLine?.status !== 'in-use') continue;
+
+      const target = targetIndex === null
+        ? this._pickFreeTieLine(direction, pool)
+        : pool.find(tl => tl.index === targetIndex);
+      if (!target) {
+        return { success: false, error: `No free ${direction} tie-line to move onto on ${this._levelLabel(level)}`, migrations };
+      }
+      if (target.status !== 'free' || target.outOfService) {
+        return { success: false, error: `Tie-line ${target.index + 1} is not free on ${this._levelLabel(level)}`, migrations };
+      }
+
+      const result = await this._migrateTieLine(tieLine, target, level, direction);
+      migrations.push({ level, tieLineIndex: target.index, destinations: result.moved });
+      if (!result.success) return { success: false, error: result.error, migrations };
+    }
+
+    if (migrations.length === 0) return { success: false, error: `Tie-line ${index + 1} is not carrying any routes` };
+    return { success: true, migrations };
+  }
+
+  // Move everything carried by one tie-line onto a free one in the same
+  // direction: route the new tie-line first, then re-point each destination
+  // on the far router, then free the old tie-line. A new tie-line already
+  // carrying the same source is merged into instead.
+  async _migrateTieLine(oldTieLine, newTieLine, level, direction) {
+    const total = oldTieLine.destinations.length;
+    const progress = (phase, completed) => this.emit('migration-progress', {
+      direction, fromIndex: oldTieLine.index, toIndex: newTieLine.index, level, phase, completed, total
+    });
+
+    const fromController = this._getController(oldTieLine.from);
+    const toController = this._getController(oldTieLine.to);
+    if (!this._isConnected(oldTieLine.from) || !this._isConnected(oldTieLine.to)) {
+      return { success: false, error: `Router ${oldTieLine.from} and Router ${oldTieLine.to} must both be connected` };
+    }
+    const fromLevel = this._physicalLevel(oldTieLine.from, level);
+    const toLevel = this._physicalLevel(oldTieLine.to, level);
+    const merging = newTieLine.status === 'in-use';
+
+    if (!merging) {
+      newTieLine.status = 'reserved';
+      newTieLine.sourceInput = oldTieLine.sourceInput;
+      newTieLine.destinations = [];
+      try {
+        await fromController.setRoute(newTieLine.fromOutput, oldTieLine.sourceInput, fromLevel);
+      } catch (err) {
+        this._releaseReservations([newTieLine]);
+        progress('failed', 0);
+        return { success: false, error: `Router ${oldTieLine.from} route failed: ${err.message}`, moved: [] };
       }
+    }
+    progress('source', 0);
+
+    const moved = [];
+    let error = null;
+    for (const dest of [...oldTieLine.destinations]) {
+      try {
+        await toController.setRoute(dest, newTieLine.toInput, toLevel);
+      } catch (err) {
+        error = `Router ${oldTieLine.to} output ${dest + 1} route failed: ${err.message}`;
+        break;
+      }
+      moved.push(dest);
+      progress('destination', moved.length);
+      // A downstream tie-line on the far router now takes its source from the new input
+      const downstream = this._findOutgoingTieLine(oldTieLine.to, dest, level);
+      if (downstream?.sourceInput === oldTieLine.toInput) downstream.sourceInput = newTieLine.toInput;
+    }
+
+    if (merging) {
+      newTieLine.destinations = [...new Set([...newTieLine.destinations, ...moved])];
     } else {
-      // Was this output using an A→B tie-line?
-      const tieLine = this.state.aToB.find(
-        tl => tl.status === 'in-use' && tl.destinations.includes(destPhysicalOutput)
-      );
-      if (tieLine) {
-        this._releaseTieLineDestination('aToB', tieLine.index, destPhysicalOutput);
+      newTieLine.status = 'in-use';
+      newTieLine.destinations = moved;
+      this._recordClaim(direction, newTieLine);
+    }
+    const upstream = this._findIncomingTieLine(oldTieLine.from, oldTieLine.sourceInput, level);
+    if (upstream && !upstream.destinations.includes(newTieLine.fromOutput)) {
+      upstream.destinations.push(newTieLine.fromOutput);
+    }
+
+    oldTieLine.destinations = oldTieLine.destinations.filter(d => !moved.includes(d));
+    if (oldTieLine.destinations.length === 0) {
+      oldTieLine.status = 'free';
+      oldTieLine.sourceInput = null;
+      this._recordRelease(oldTieLine);
+      if (upstream) upstream.destinations = upstream.destinations.filter(d => d !== oldTieLine.fromOutput);
+    }
+    if (moved.length === 0 && !merging) this._releaseTieLineDestination(newTieLine, null);
+
+    progress(error ? 'failed' : 'done', moved.length);
+    this.emit('state-changed', this.state);
+    return error ? { success: false, error, moved } : { success: true, moved };
+  }
+
+  // Merge tie-lines carrying the same source in the same direction and level
+  // onto one of them, re-pointing the far-side destinations without a break
+  // and freeing the rest. direction null covers every direction. Resolves to
+  // { success, merges: [{ level, direction, fromIndex, intoIndex, destinations }], error? }
+  consolidateTieLines(direction = null, clientId = 'local') {
+    return this._enqueue(clientId, () => this._consolidateTieLines(direction));
+  }
+
+  async _consolidateTieLines(direction, trigger = 'manual') {
+    const merges = [];
+    let error = null;
+    // Merging upstream tie-lines can leave downstream ones on the same input,
+    // so repeat until a pass finds nothing
+    for (let pass = 0; pass < 4 && !error; pass++) {
+      const found = this._findDuplicateTieLines(direction);
+      if (found.length === 0) break;
+      for (const { level, direction: dir, keep, extra } of found) {
+        // An earlier merge this pass may have moved things on
+        if (extra.status !== 'in-use' || keep.status !== 'in-use' || extra.sourceInput !== keep.sourceInput) continue;
+        const result = await this._migrateTieLine(extra, keep, level, dir);
+        merges.push({ level, direction: dir, fromIndex: extra.index, intoIndex: keep.index, destinations: result.moved || [] });
+        if (!result.success) {
+          error = result.error;
+          break;
+        }
+      }
+    }
+
+    if (merges.length > 0) this.emit('tie-lines-consolidated', { trigger, merges, error });
+    return error ? { success: false, error, merges } : { success: true, merges };
+  }
+
+  // In-use tie-lines duplicating another in the same pool: [{ level, direction, keep, extra }].
+  // The one kept is static if there is one, else in service, else the one
+  // with the most destinations, so the fewest crosspoints change.
+  _findDuplicateTieLines(direction = null) {
+    const found = [];
+    for (const [levelKey, pools] of Object.entries(this.state)) {
+      const level = Number(levelKey);
+      for (const [dir, pool] of Object.entries(pools)) {
+        if (direction && dir !== direction) continue;
+        const { from, to } = parseDirection(dir);
+        if (!this._isConnected(from) || !this._isConnected(to)) continue;
+
+        const bySource = new Map();
+        for (const tl of pool) {
+          if (tl.status !== 'in-use') continue;
+          if (!bySource.has(tl.sourceInput)) bySource.set(tl.sourceInput, []);
+          bySource.get(tl.sourceInput).push(tl);
+        }
+        for (const lines of bySource.values()) {
+          if (lines.length < 2) continue;
+          const [keep, ...rest] = [...lines].sort((a, b) =>
+            ((b.staticInput !== null) - (a.staticInput !== null))
+            || (!!a.outOfService - !!b.outOfService)
+            || (b.destinations.length - a.destinations.length)
+            || (a.index - b.index));
+          for (const extra of rest) {
+            if (extra.staticInput === null) found.push({ level, direction: dir, keep, extra });
+          }
+        }
       }
     }
+    return found;
   }
 
-  // When re-routing an output that was previously cross-router
-  async _handleOutputReassignment(direction, destOutput) {
-    const pool = this.state[direction];
-    const oldTieLine = pool.find(
-      tl => tl.status === 'in-use' && tl.destinations.includes(destOutput)
-    );
-    if (oldTieLine) {
-      this._releaseTieLineDestination(direction, oldTieLine.index, destOutput);
+  // After each job: consolidate any pool at or above consolidateAt that has duplicates
+  async _autoConsolidate() {
+    if (this.consolidateAt === null) return;
+    const directions = new Set();
+    for (const { level, direction } of this._findDuplicateTieLines()) {
+      const pool = this.state[level][direction].filter(tl => tl.staticInput === null && !tl.outOfService);
+      const inUse = pool.filter(tl => tl.status !== 'free').length;
+      if (pool.length > 0 && (inUse / pool.length) * 100 >= this.consolidateAt) directions.add(direction);
     }
+    for (const direction of directions) await this._consolidateTieLines(direction, 'automatic');
   }
 
-  _releaseTieLineDestination(direction, tieLineIndex, removedDest) {
-    const pool = this.state[direction];
-    const tieLine = pool[tieLineIndex];
-    if (!tieLine || tieLine.status !== 'in-use') return;
+  // Compare what the engine believes with live routing. Returns a list of
+  // { id, type, level, direction, index, message, repairs, automatic } where
+  // repairs lists the actions repairIssue accepts, first one preferred, and
+  // automatic marks bookkeeping-only fixes that touch no hardware.
+  audit() {
+    const issues = [];
+    const tieLineOutputs = this._tieLineOutputs();
 
-    tieLine.destinations = tieLine.destinations.filter(d => d !== removedDest);
+    for (const [levelKey, pools] of Object.entries(this.state)) {
+      const level = Number(levelKey);
+      for (const [direction, pool] of Object.entries(pools)) {
+        const { from, to } = parseDirection(direction);
+        if (!this._isConnected(from) || !this._isConnected(to)) continue;
+        if (!this._hasLevel(from, level) || !this._hasLevel(to, level)) continue;
 
-    if (tieLine.destinations.length === 0) {
-      tieLine.status = 'free';
-      tieLine.sourceInput = null;
+        const routingFrom = this._getController(from).getRoutingForLevel(this._physicalLevel(from, level)) || {};
+        const routingTo = this._getController(to).getRoutingForLevel(this._physicalLevel(to, level)) || {};
+        const issue = (type, tl, message, repairs, extra = {}) => issues.push({
+          id: [type, level, direction, tl.index, extra.destination ?? ''].join(':'),
+          type, level, direction, index: tl.index, message, repairs,
+          automatic: type === 'destination-moved' || type === 'untracked-destination',
+          ...extra
+        });
+        const label = (tl) => this._tieLineLabel(direction, tl);
+
+        const bySource = new Map();
+        for (const tl of pool) {
+          if (tl.status !== 'in-use') continue;
+
+          const liveInput = routingFrom[tl.fromOutput];
+          if (liveInput !== tl.sourceInput) {
+            issue('source-changed', tl,
+              `${label(tl)} output on Router ${from} carries ${liveInput === undefined ? 'nothing' : `input ${liveInput + 1}`} instead of input ${tl.sourceInput + 1}`,
+              tl.staticInput !== null ? ['reroute'] : ['reroute', 'release'], { expectedInput: tl.sourceInput, actualInput: liveInput });
+            continue;
+          }
+
+          // Multi-hop: the tie-line feeding this one has been released
+          const feeder = Object.values(pools).flat()
+            .find(up => up.to === from && up.toInput === tl.sourceInput);
+          if (feeder && feeder.status !== 'in-use') {
+            issue('source-gone', tl,
+              `${label(tl)} is fed from a ${directionKey(feeder.from, feeder.to)} tie-line that is no longer in use`,
+              ['release']);
+            continue;
+          }
+
+          for (const dest of tl.destinations) {
+            if (routingTo[dest] !== tl.toInput) {
+              issue('destination-moved', tl,
+                `Router ${to} output ${dest + 1} is no longer fed from ${label(tl)}`,
+                ['release'], { destination: dest });
+            }
+          }
+          // Output N on input N is only skipped while it is still the
+          // router's untouched default
+          const toLevel = this._physicalLevel(to, level);
+          for (const [output, input] of Object.entries(routingTo)) {
+            const outIdx = parseInt(output);
+            const isDefault = outIdx === input && !this._changedOutputs.has(`${to}:${toLevel}:${outIdx}`);
+            if (input === tl.toInput && !isDefault && !tl.destinations.includes(outIdx)
+                && !tieLineOutputs[to]?.has(outIdx)) {
+              issue('untracked-destination', tl,
+                `Router ${to} output ${outIdx + 1} is fed from ${label(tl)} but not recorded`,
+                ['adopt'], { destination: outIdx });
+            }
+          }
+
+          if (!bySource.has(tl.sourceInput)) bySource.set(tl.sourceInput, []);
+          bySource.get(tl.sourceInput).push(tl);
+        }
+
+        for (const [sourceInput, lines] of bySource) {
+          if (lines.length < 2) continue;
+          // Never merge a static tie-line away
+          const [keep, ...extra] = [...lines].sort((a, b) => (b.staticInput !== null) - (a.staticInput !== null));
+          for (const tl of extra) {
+            issue('duplicate-source', tl,
+              `${label(tl)} carries Router ${from} input ${sourceInput + 1}, already on TL${keep.index + 1}`,
+              ['merge'], { mergeInto: keep.index });
+          }
+        }
+      }
     }
+    return issues;
+  }
+
+  // Apply one repair action to an issue from audit(). The audit is re-run
+  // first so a stale issue is rejected rather than acted on.
+  repairIssue(issueId, action, clientId = 'local') {
+    return this._enqueue(clientId, () => this._repairIssue(issueId, action));
+  }
+
+  async _repairIssue(issueId, action) {
+    const issue = this.audit().find(i => i.id === issueId);
+    if (!issue) return { success: false, error: 'Issue is no longer present' };
+    if (!issue.repairs.includes(action)) return { success: false, error: `Cannot ${action} a ${issue.type} issue` };
+
+    const pool = this.state[issue.level][issue.direction];
+    const tieLine = pool.find(tl => tl.index === issue.index);
+    const { from } = parseDirection(issue.direction);
+
+    switch (action) {
+      case 'reroute':
+        try {
+          await this._getController(from).setRoute(tieLine.fromOutput, tieLine.sourceInput, this._physicalLevel(from, issue.level));
+        } catch (err) {
+          return { success: false, error: `Router ${from} route failed: ${err.message}` };
+        }
+        break;
+      case 'release':
+        if (issue.destination !== undefined) {
+          this._releaseTieLineDestination(tieLine, issue.destination);
+        } else {
+          for (const dest of [...tieLine.destinations]) this._releaseTieLineDestination(tieLine, dest);
+        }
+        break;
+      case 'adopt':
+        tieLine.destinations.push(issue.destination);
+        break;
+      case 'merge': {
+        const result = await this._migrateTieLine(tieLine, pool.find(tl => tl.index === issue.mergeInto), issue.level, issue.direction);
+        if (!result.success) return result;
+        break;
+      }
+    }
+
     this.emit('state-changed', this.state);
+    return { success: true };
   }
 
-  // Update tie-line labels on both the source output and receiving input ports
-  updateTieLineLabels() {
-    // A→B tie-lines: update Router A output label + Router B input label
-    for (let i = 0; i < this.state.aToB.length; i++) {
-      const tl = this.state.aToB[i];
-      const tlNum = i + 1;
-      // Label the source output on Router A
-      if (this.controllerA?.isConnected()) this.controllerA.setOutputLabel(tl.routerAOutput, `TL${tlNum} A>B`);
-      if (tl.status === 'in-use' && tl.sourceInput !== null) {
-        const stateA = this.controllerA?.isConnected() ? this.controllerA.getState() : null;
-        const sourceName = stateA?.inputLabels?.[tl.sourceInput];
-        const label = sourceName ? `TL${tlNum} ${sourceName}` : `TL${tlNum} A>B`;
-        if (this.controllerB?.isConnected()) this.controllerB.setInputLabel(tl.routerBInput, label);
-      } else {
-        if (this.controllerB?.isConnected()) this.controllerB.setInputLabel(tl.routerBInput, `TL${tlNum} A>B`);
+  // Feed a controller's routing-changed batch through here. Changes touching
+  // a tie-line output are checked from the route queue, after any command in
+  // flight has settled, so the engine's own routes are never taken for
+  // external ones. Resolves to the external change events handled.
+  handleRoutingChanges(routerId, changes) {
+    for (const change of changes) this._changedOutputs.add(`${routerId}:${change.level || 0}:${change.output}`);
+    const outputs = this._tieLineOutputs()[routerId];
+    if (!outputs || !changes.some(change => outputs.has(change.output))) return Promise.resolve([]);
+    return this._enqueue('external', () => this._checkExternalChanges(routerId, changes));
+  }
+
+  async _checkExternalChanges(routerId, changes) {
+    const events = [];
+    const controller = this._getController(routerId);
+    if (!controller) return events;
+
+    for (const change of changes) {
+      const physical = change.level || 0;
+      for (const [levelKey, pools] of Object.entries(this.state)) {
+        const level = Number(levelKey);
+        if (this._physicalLevel(routerId, level) !== physical) continue;
+
+        for (const [direction, pool] of Object.entries(pools)) {
+          const tieLine = pool.find(
+            tl => tl.from === routerId && tl.fromOutput === change.output && tl.status === 'in-use'
+          );
+          if (!tieLine) continue;
+          // Judge by live routing; a later change may already have superseded this one
+          const liveInput = controller.getRoutingForLevel(physical)?.[change.output];
+          if (liveInput === undefined || liveInput === tieLine.sourceInput) continue;
+          events.push(await this._applyExternalChangePolicy(tieLine, direction, liveInput));
+        }
       }
     }
+    return events;
+  }
 
-    // B→A tie-lines: update Router B output label + Router A input label
-    for (let i = 0; i < this.state.bToA.length; i++) {
-      const tl = this.state.bToA[i];
-      const tlNum = i + 1;
-      // Label the source output on Router B
-      if (this.controllerB?.isConnected()) this.controllerB.setOutputLabel(tl.routerBOutput, `TL${tlNum} B>A`);
-      if (tl.status === 'in-use' && tl.sourceInput !== null) {
-        const stateB = this.controllerB?.isConnected() ? this.controllerB.getState() : null;
-        const sourceName = stateB?.inputLabels?.[tl.sourceInput];
-        const label = sourceName ? `TL${tlNum} ${sourceName}` : `TL${tlNum} B>A`;
-        if (this.controllerA?.isConnected()) this.controllerA.setInputLabel(tl.routerAInput, label);
-      } else {
-        if (this.controllerA?.isConnected()) this.controllerA.setInputLabel(tl.routerAInput, `TL${tlNum} B>A`);
+  async _applyExternalChangePolicy(tieLine, direction, liveInput) {
+    const { from } = parseDirection(direction);
+    // A static tie-line is always put back on its pinned input
+    const policy = tieLine.staticInput !== null ? 'restore' : this.externalChangePolicy;
+    const event = {
+      time: new Date().toISOString(),
+      router: from,
+      output: tieLine.fromOutput,
+      level: tieLine.level,
+      direction,
+      index: tieLine.index,
+      expectedInput: tieLine.sourceInput,
+      actualInput: liveInput,
+      destinations: this._downstreamDestinations(tieLine),
+      policy,
+      success: true
+    };
+    let message = `${this._tieLineLabel(direction, tieLine)} output on Router ${from} changed externally from input ${tieLine.sourceInput + 1} to input ${liveInput + 1}`;
+
+    switch (policy) {
+      case 'restore':
+        try {
+          await this._getController(from).setRoute(tieLine.fromOutput, tieLine.sourceInput, this._physicalLevel(from, tieLine.level));
+          message += '; restored';
+        } catch (err) {
+          event.success = false;
+          event.error = err.message;
+          message += `; restore failed: ${err.message}`;
+        }
+        break;
+      case 'adopt': {
+        // Leave the old source's chain, then join the new one if it arrives on a tie-line
+        const upstream = this._findIncomingTieLine(from, tieLine.sourceInput, tieLine.level);
+        if (upstream) this._releaseTieLineDestination(upstream, tieLine.fromOutput);
+        tieLine.sourceInput = liveInput;
+        const feeder = this._findIncomingTieLine(from, liveInput, tieLine.level);
+        if (feeder && !feeder.destinations.includes(tieLine.fromOutput)) feeder.destinations.push(tieLine.fromOutput);
+        message += '; new source adopted';
+        this.emit('state-changed', this.state);
+        break;
+      }
+      default:
+        message += '; routing left as is';
+    }
+
+    event.message = message;
+    this.emit('external-change', event);
+    return event;
+  }
+
+  // Final destinations a tie-line feeds, following further tie-lines downstream
+  _downstreamDestinations(tieLine, seen = new Set()) {
+    seen.add(tieLine);
+    const result = [];
+    for (const dest of tieLine.destinations) {
+      const next = this._findOutgoingTieLine(tieLine.to, dest, tieLine.level);
+      if (next && !seen.has(next)) {
+        result.push(...this._downstreamDestinations(next, seen));
+      } else if (!next) {
+        result.push({ router: tieLine.to, output: dest });
       }
     }
+    return result;
   }
 
-  // Reconstruct tie-line state from current physical routing
-  reconstructStateFromRouting() {
-    if (!this.controllerA?.isConnected() || !this.controllerB?.isConnected()) return;
+  _tieLineLabel(direction, tieLine) {
+    const showLevel = tieLine.level > 0 || this.levelMap.length > 0;
+    return `${direction} TL${tieLine.index + 1}${showLevel ? ` (${this._levelLabel(tieLine.level)})` : ''}`;
+  }
+
+  // Tie-line outputs on each router, which are never destinations in their own right
+  _tieLineOutputs() {
+    const outputs = {};
+    for (const [direction, lines] of Object.entries(this.config)) {
+      const { from } = parseDirection(direction);
+      if (!outputs[from]) outputs[from] = new Set();
+      for (const tl of lines || []) outputs[from].add(tl.fromOutput);
+    }
+    return outputs;
+  }
+
+  // The in-use tie-line leaving a router from a physical output on a level, if any
+  _findOutgoingTieLine(routerId, physicalOutput, level) {
+    for (const pool of Object.values(this._getPools(level))) {
+      const tieLine = pool.find(
+        tl => tl.from === routerId && tl.fromOutput === physicalOutput && tl.status === 'in-use'
+      );
+      if (tieLine) return tieLine;
+    }
+    return null;
+  }
+
+  // Release whichever tie-line currently feeds this destination output
+  _cleanupOutputTieLine(destRouter, destPhysicalOutput, level) {
+    for (const [direction, pool] of Object.entries(this._getPools(level))) {
+      if (parseDirection(direction).to !== destRouter) continue;
+      const tieLine = pool.find(
+        tl => tl.status === 'in-use' && tl.destinations.includes(destPhysicalOutput)
+      );
+      if (tieLine) {
+        this._releaseTieLineDestination(tieLine, destPhysicalOutput);
+      }
+    }
+  }
+
+  _releaseTieLineDestination(tieLine, removedDest) {
+    if (!tieLine || tieLine.status !== 'in-use') return;
+    for (const freed of this._detachDestination(tieLine, removedDest)) this._recordRelease(freed);
+    this.emit('state-changed', this.state);
+  }
+
+  // Bookkeeping half of a release: drop a destination and free the tie-line
+  // once nothing is left on it, then the tie-line feeding it (multi-hop
+  // chains). Returns the tie-lines freed.
+  _detachDestination(tieLine, removedDest) {
+    tieLine.destinations = tieLine.destinations.filter(d => d !== removedDest);
+    if (tieLine.destinations.length > 0 || tieLine.staticInput !== null) return [];
+
+    const upstream = this._findIncomingTieLine(tieLine.from, tieLine.sourceInput, tieLine.level);
+    tieLine.status = 'free';
+    tieLine.sourceInput = null;
+    return [tieLine, ...(upstream ? this._detachDestination(upstream, tieLine.fromOutput) : [])];
+  }
+
+  // The in-use tie-line delivering into a physical input on a level, if any
+  _findIncomingTieLine(routerId, physicalInput, level) {
+    for (const pool of Object.values(this._getPools(level))) {
+      const tieLine = pool.find(
+        tl => tl.to === routerId && tl.toInput === physicalInput && tl.status === 'in-use'
+      );
+      if (tieLine) return tieLine;
+    }
+    return null;
+  }
+
+  // Follow a chain of tie-lines back to the originating router and input
+  _traceOrigin(tieLine) {
+    let router = tieLine.from;
+    let input = tieLine.sourceInput;
+    const seen = new Set([tieLine]);
+    let upstream = this._findIncomingTieLine(router, input, tieLine.level);
+    while (upstream && !seen.has(upstream)) {
+      seen.add(upstream);
+      router = upstream.from;
+      input = upstream.sourceInput;
+      upstream = this._findIncomingTieLine(router, input, tieLine.level);
+    }
+    return { router, input };
+  }
 
-    const routingA = this.controllerA.getState().routing;
-    const routingB = this.controllerB.getState().routing;
+  // Update tie-line labels on both the source output and receiving input ports.
+  // Ports are shared by all levels, so an in-use tie-line is labelled with the
+  // source on the lowest level it is carrying.
+  updateTieLineLabels() {
+    const levels = Object.keys(this.state).map(Number).sort((a, b) => a - b);
+
+    for (const [direction, lines] of Object.entries(this.config)) {
+      const { from, to } = parseDirection(direction);
+      const fromController = this._isConnected(from) ? this._getController(from) : null;
+      const toController = this._isConnected(to) ? this._getController(to) : null;
+      const defaultLabel = (tlNum) => `TL${tlNum} ${from}>${to}`;
 
-    // Build sets of all tie-line ports so we can exclude them as destinations
-    const tieLineAOutputs = new Set(this.config.aToB.map(tl => tl.routerAOutput));
-    const tieLineBOutputs = new Set(this.config.bToA.map(tl => tl.routerBOutput));
-    const tieLineBInputs = new Set(this.config.aToB.map(tl => tl.routerBInput));
-    const tieLineAInputs = new Set(this.config.bToA.map(tl => tl.routerAInput));
+      (lines || []).forEach((config, i) => {
+        const tlNum = i + 1;
+        // Label the tie-line output on the source router
+        if (fromController) fromController.setOutputLabel(config.fromOutput, defaultLabel(tlNum));
+        if (!toController) return;
 
-    // Check A→B tie-lines
-    for (const tieLine of this.state.aToB) {
-      const sourceOnA = routingA[tieLine.routerAOutput];
-      const destsOnB = [];
-      for (const [output, input] of Object.entries(routingB)) {
-        const outIdx = parseInt(output);
-        // Only count outputs that are routed to this tie-line input AND are
-        // not themselves tie-line ports AND are not just default 1:1 routing
-        if (parseInt(input) === tieLine.routerBInput
-            && !tieLineBOutputs.has(outIdx)
-            && outIdx !== parseInt(input)) {
-          destsOnB.push(outIdx);
+        const tl = levels
+          .map(level => this.state[level][direction]?.find(entry => entry.index === i))
+          .find(entry => entry?.status === 'in-use' && entry.sourceInput !== null);
+        if (tl) {
+          const origin = this._traceOrigin(tl);
+          const originController = this._isConnected(origin.router) ? this._getController(origin.router) : null;
+          const sourceName = originController?.getState()?.inputLabels?.[origin.input];
+          toController.setInputLabel(config.toInput, sourceName ? `TL${tlNum} ${sourceName}` : defaultLabel(tlNum));
+        } else {
+          toController.setInputLabel(config.toInput, defaultLabel(tlNum));
         }
+      });
+    }
+  }
+
+  // Reconstruct tie-line state from current physical routing, e.g. once a
+  // router connects. Queued, so a job waiting on hardware keeps its tie-lines.
+  reconstruct(clientId = 'reconstruct') {
+    return this._enqueue(clientId, async () => {
+      this._reconstructStateFromRouting();
+      return { success: true };
+    });
+  }
+
+  // Reconstruct tie-line state from current physical routing, level by level;
+  // only ever run from the queue
+  _reconstructStateFromRouting() {
+    // Tie-line outputs on each router, so they can be excluded as destinations
+    const tieLineOutputs = this._tieLineOutputs();
+
+    const journal = new Map();
+    for (const entry of this.getJournal()) {
+      journal.set(journalKey(entry.level, entry.direction, entry.fromOutput, entry.toInput), entry);
+    }
+
+    const levelCount = this.virtualLevelCount();
+
+    let changed = false;
+    for (let level = 0; level < levelCount; level++) {
+      if (this._reconstructLevel(level, tieLineOutputs, journal)) changed = true;
+    }
+
+    // Entries whose routers are both online have now been checked either way
+    this._pendingJournal = this._pendingJournal.filter(entry => {
+      const { from, to } = parseDirection(entry.direction);
+      return !(this._isConnected(from) && this._isConnected(to));
+    });
+
+    if (changed) this.emit('state-changed', this.state);
+  }
+
+  _reconstructLevel(level, tieLineOutputs, journal) {
+    const routingCache = {};
+    const getRouting = (routerId) => {
+      if (!routingCache[routerId]) {
+        routingCache[routerId] = this._getController(routerId).getRoutingForLevel(this._physicalLevel(routerId, level)) || {};
       }
+      return routingCache[routerId];
+    };
 
-      if (sourceOnA !== undefined && destsOnB.length > 0) {
-        tieLine.status = 'in-use';
-        tieLine.sourceInput = sourceOnA;
-        tieLine.destinations = destsOnB;
-      } else {
-        tieLine.status = 'free';
-        tieLine.sourceInput = null;
-        tieLine.destinations = [];
+    // First pass: source and direct (non tie-line) destinations for every tie-line
+    const candidates = [];
+    for (const [direction, pool] of Object.entries(this._getPools(level))) {
+      const { from, to } = parseDirection(direction);
+      if (!this._isConnected(from) || !this._isConnected(to)) continue;
+      if (!this._hasLevel(from, level) || !this._hasLevel(to, level)) continue;
+
+      const routingFrom = getRouting(from);
+      const routingTo = getRouting(to);
+      const excludedOutputs = tieLineOutputs[to] || new Set();
+
+      for (const tieLine of pool) {
+        const directDests = [];
+        for (const [output, input] of Object.entries(routingTo)) {
+          const outIdx = parseInt(output);
+          // Only count outputs that are routed to this tie-line input AND are
+          // not themselves tie-line ports AND are not just default 1:1 routing
+          if (parseInt(input) === tieLine.toInput
+              && !excludedOutputs.has(outIdx)
+              && outIdx !== parseInt(input)) {
+            directDests.push(outIdx);
+          }
+        }
+        // A parked tie-line is free whatever its far side is routed to
+        let source = routingFrom[tieLine.fromOutput];
+        if (source === this._parkInput(tieLine)) source = undefined;
+        // A static tie-line carries its pinned input whatever it is routed to now
+        if (tieLine.staticInput !== null) source = tieLine.staticInput;
+
+        // Journaled destinations still routed to the tie-line count even when
+        // the heuristic would skip them (1:1 routes, downstream tie-lines)
+        const entry = journal.get(journalKey(level, direction, tieLine.fromOutput, tieLine.toInput));
+        let journaled = false;
+        if (entry && source !== undefined && source === entry.sourceInput) {
+          const verified = entry.destinations.filter(d => parseInt(routingTo[d]) === tieLine.toInput);
+          if (verified.length > 0) {
+            journaled = true;
+            directDests.push(...verified.filter(d => !directDests.includes(d)));
+            if (entry.locked) this._engineLocks.add(lockKey(from, tieLine.fromOutput));
+          }
+        }
+        candidates.push({ tieLine, source, directDests, journaled, claimedAt: journaled ? entry.claimedAt : null });
       }
     }
 
-    // Check B→A tie-lines
-    for (const tieLine of this.state.bToA) {
-      const sourceOnB = routingB[tieLine.routerBOutput];
-      const destsOnA = [];
-      for (const [output, input] of Object.entries(routingA)) {
-        const outIdx = parseInt(output);
-        if (parseInt(input) === tieLine.routerAInput
-            && !tieLineAOutputs.has(outIdx)
-            && outIdx !== parseInt(input)) {
-          destsOnA.push(outIdx);
+    // Second pass: a tie-line feeding an in-use tie-line on the next router is
+    // itself in use (multi-hop chains); repeat until nothing new is found
+    const inUse = new Set(candidates.filter(c => c.source !== undefined
+      && (c.journaled || c.directDests.length > 0 || c.tieLine.staticInput !== null)));
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const c of candidates) {
+        if (inUse.has(c) || c.source === undefined) continue;
+        // Whatever the port numbers, an in-use tie-line fed from this one's
+        // input carries its signal, so a matching out/in number is no default
+        const feedsInUse = [...inUse].some(d => d.tieLine.from === c.tieLine.to
+          && d.source === c.tieLine.toInput);
+        if (feedsInUse) {
+          inUse.add(c);
+          grew = true;
         }
       }
+    }
 
-      if (sourceOnB !== undefined && destsOnA.length > 0) {
+    for (const c of candidates) {
+      const { tieLine } = c;
+      // A route in flight owns its reserved tie-lines until it completes
+      if (tieLine.status === 'reserved') continue;
+      if (inUse.has(c)) {
+        const downstream = [...inUse]
+          .filter(d => d.tieLine.from === tieLine.to && d.source === tieLine.toInput)
+          .map(d => d.tieLine.fromOutput);
+        if (tieLine.status !== 'in-use') tieLine.claimedAt = c.claimedAt;
+        // A lock held by this connection on an in-use tie-line can only be ours
+        const lock = this._getController(tieLine.from).outputLocks?.[tieLine.fromOutput];
+        if (lock === 'O') this._engineLocks.add(lockKey(tieLine.from, tieLine.fromOutput));
         tieLine.status = 'in-use';
-        tieLine.sourceInput = sourceOnB;
-        tieLine.destinations = destsOnA;
+        tieLine.sourceInput = c.source;
+        tieLine.destinations = [...new Set([...c.directDests, ...downstream])];
       } else {
         tieLine.status = 'free';
         tieLine.sourceInput = null;
@@ -361,8 +2087,13 @@ class TieLineEngine extends EventEmitter {
       }
     }
 
-    this.emit('state-changed', this.state);
+    return candidates.length > 0;
   }
 }
 
+TieLineEngine.directionKey = directionKey;
+TieLineEngine.parseDirection = parseDirection;
+TieLineEngine.ALLOCATION_STRATEGIES = Object.keys(ALLOCATION_STRATEGIES);
+TieLineEngine.EXTERNAL_CHANGE_POLICIES = EXTERNAL_CHANGE_POLICIES;
+
 module.exports = TieLineEngine;
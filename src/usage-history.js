@@ -0,0 +1,205 @@
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar day of a timestamp, e.g. '2024-05-31'
+function dayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function nextMidnight(time) {
+  const d = new Date(time);
+  d.setHours(24, 0, 0, 0);
+  return d.getTime();
+}
+
+// Tie-line utilization history, one JSON object per line:
+//   { type: 'usage', t, level, direction, inUse, total } whenever a pool's usage changes
+//   { type: 'occupancy', level, direction, index, source: { router, input }, destinations, start, end }
+//     when a tie-line stops carrying a source
+//   { type: 'failed-take', t, level, direction, error } for each failed cross-router take
+//   { type: 'start' | 'stop', t } when recording starts and stops, so gaps
+//     while the app was closed are not counted
+// Usage counts the same tie-lines as the engine's usage alerts: static
+// tie-lines are left out and out-of-service ones are not capacity.
+class UsageHistory {
+  constructor(filePath, { retentionDays = 30, maxEntries = 100000 } = {}) {
+    this.filePath = filePath;
+    this.retentionDays = retentionDays;
+    this.maxEntries = maxEntries;
+
+    // Last usage written per pool, and open occupancies per tie-line, both
+    // keyed `${level}:${direction}` (plus `:${index}` for occupancies)
+    this._lastUsage = {};
+    this._occupancies = {};
+    this._appendedSincePrune = 0;
+
+    this.prune();
+    this._append([{ type: 'start', t: Date.now() }]);
+  }
+
+  setRetention({ retentionDays, maxEntries }) {
+    if (Number.isInteger(retentionDays) && retentionDays > 0) this.retentionDays = retentionDays;
+    if (Number.isInteger(maxEntries) && maxEntries > 0) this.maxEntries = maxEntries;
+    this.prune();
+  }
+
+  // Record whatever changed in an engine state snapshot ({ [level]: { [direction]: [tieLine] } })
+  recordState(state, time = Date.now()) {
+    const entries = [];
+    const inUseNow = new Set();
+
+    for (const [level, pools] of Object.entries(state)) {
+      for (const [direction, pool] of Object.entries(pools)) {
+        const allocatable = pool.filter(tl => tl.staticInput === null);
+        if (allocatable.length > 0) {
+          const inService = allocatable.filter(tl => !tl.outOfService);
+          const inUse = inService.filter(tl => tl.status !== 'free').length;
+          const key = `${level}:${direction}`;
+          const last = this._lastUsage[key];
+          if (!last || last.inUse !== inUse || last.total !== inService.length) {
+            this._lastUsage[key] = { inUse, total: inService.length };
+            entries.push({ type: 'usage', t: time, level: Number(level), direction, inUse, total: inService.length });
+          }
+        }
+
+        for (const tl of pool) {
+          if (tl.status !== 'in-use') continue;
+          const key = `${level}:${direction}:${tl.index}`;
+          const open = this._occupancies[key];
+          if (open && open.source.input !== tl.sourceInput) {
+            entries.push(this._closeOccupancy(key, time));
+          }
+          if (!this._occupancies[key]) {
+            this._occupancies[key] = {
+              level: Number(level),
+              direction,
+              index: tl.index,
+              source: { router: tl.from, input: tl.sourceInput },
+              destinations: new Set(),
+              start: time
+            };
+          }
+          for (const dest of tl.destinations) this._occupancies[key].destinations.add(dest);
+          inUseNow.add(key);
+        }
+      }
+    }
+
+    for (const key of Object.keys(this._occupancies)) {
+      if (!inUseNow.has(key)) entries.push(this._closeOccupancy(key, time));
+    }
+    this._append(entries);
+  }
+
+  recordFailedTake({ from, to, level = 0, error }, time = Date.now()) {
+    this._append([{ type: 'failed-take', t: time, level, direction: `${from}>${to}`, error }]);
+  }
+
+  // Close every open occupancy, e.g. on quit
+  stop(time = Date.now()) {
+    const entries = Object.keys(this._occupancies).map(key => this._closeOccupancy(key, time));
+    entries.push({ type: 'stop', t: time });
+    this._append(entries);
+    this._lastUsage = {};
+  }
+
+  _closeOccupancy(key, time) {
+    const { destinations, ...occupancy } = this._occupancies[key];
+    delete this._occupancies[key];
+    return { type: 'occupancy', ...occupancy, destinations: [...destinations], end: time };
+  }
+
+  _append(entries) {
+    if (entries.length === 0) return;
+    try {
+      fs.appendFileSync(this.filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    } catch (e) {
+      console.error('Failed to write tie-line usage history:', e);
+      return;
+    }
+    this._appendedSincePrune += entries.length;
+    if (this._appendedSincePrune > this.maxEntries / 10) this.prune();
+  }
+
+  read() {
+    try {
+      return fs.readFileSync(this.filePath, 'utf-8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Drop entries older than the retention period, then the oldest beyond maxEntries
+  prune(now = Date.now()) {
+    this._appendedSincePrune = 0;
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const entries = this.read();
+    const kept = entries.filter(entry => (entry.t ?? entry.end) >= cutoff).slice(-this.maxEntries);
+    if (kept.length === entries.length) return;
+    try {
+      fs.writeFileSync(this.filePath, kept.map(entry => JSON.stringify(entry)).join('\n') + (kept.length ? '\n' : ''));
+    } catch (e) {
+      console.error('Failed to prune tie-line usage history:', e);
+    }
+  }
+
+  // Per day, direction and level: [{ date, direction, level, peakInUse, total,
+  // peakPercent, timeAtFullMs, failedTakes }], oldest first. A pool
+  // with no tie-lines in service counts as full.
+  report(now = Date.now()) {
+    const rows = new Map();
+    const row = (date, direction, level) => {
+      const key = `${date}|${level}|${direction}`;
+      if (!rows.has(key)) {
+        rows.set(key, { date, direction, level, peakInUse: 0, total: 0, peakPercent: 0, timeAtFullMs: 0, failedTakes: 0 });
+      }
+      return rows.get(key);
+    };
+
+    // Each usage sample holds until the pool's next sample or recording stops
+    const entries = this.read();
+    const open = {};
+    const closeInterval = (key, end) => {
+      const sample = open[key];
+      if (!sample) return;
+      delete open[key];
+      const full = sample.total === 0 || sample.inUse >= sample.total;
+      const percent = sample.total === 0 ? 100 : Math.floor((sample.inUse / sample.total) * 100);
+      let from = sample.t;
+      do {
+        const dayEnd = Math.min(end, nextMidnight(from));
+        const r = row(dayKey(from), sample.direction, sample.level);
+        if (percent > r.peakPercent || (percent === r.peakPercent && sample.inUse > r.peakInUse)) {
+          r.peakPercent = percent;
+          r.peakInUse = sample.inUse;
+          r.total = sample.total;
+        }
+        if (full) r.timeAtFullMs += dayEnd - from;
+        from = dayEnd;
+      } while (from < end);
+    };
+
+    for (const entry of entries) {
+      if (entry.type === 'usage') {
+        const key = `${entry.level}:${entry.direction}`;
+        closeInterval(key, entry.t);
+        open[key] = entry;
+      } else if (entry.type === 'start' || entry.type === 'stop') {
+        for (const key of Object.keys(open)) closeInterval(key, entry.t);
+      } else if (entry.type === 'failed-take') {
+        row(dayKey(entry.t), entry.direction, entry.level).failedTakes++;
+      }
+    }
+    for (const key of Object.keys(open)) closeInterval(key, now);
+
+    return [...rows.values()].sort((a, b) =>
+      a.date.localeCompare(b.date) || a.direction.localeCompare(b.direction) || a.level - b.level);
+  }
+}
+
+module.exports = UsageHistory;
@@ -19,15 +19,17 @@ class VideoHubBridge extends EventEmitter {
     // Dependencies (set via setDependencies)
     this.virtualRouter = null;
     this.tieLineEngine = null;
-    this.controllerA = null;
-    this.controllerB = null;
+    this.controllers = {};
   }
 
-  setDependencies({ virtualRouter, tieLineEngine, controllerA, controllerB }) {
+  setDependencies({ virtualRouter, tieLineEngine, controllers }) {
     this.virtualRouter = virtualRouter;
     this.tieLineEngine = tieLineEngine;
-    this.controllerA = controllerA;
-    this.controllerB = controllerB;
+    this.controllers = controllers || {};
+  }
+
+  _getController(routerId) {
+    return this.controllers[routerId] || null;
   }
 
   _getVirtualState() {
@@ -166,7 +168,7 @@ class VideoHubBridge extends EventEmitter {
 
           // Execute through tie-line engine
           const result = await this.tieLineEngine.executeVirtualRoute(
-            output, input, this.virtualRouter, 0
+            output, input, this.virtualRouter, 0, `bridge:${clientId}`
           );
 
           if (!result.success) {
@@ -180,6 +182,64 @@ class VideoHubBridge extends EventEmitter {
       return;
     }
 
+    // Extension: dry-run routes. The client sends "output input" lines and gets
+    // back, per route, a verdict line then one line per physical operation,
+    // tie-line action and predicted failure (all indices 0-based):
+    //   3 5 ok
+    //   3 5 route A 7 2 tie-line
+    //   3 5 tie-line claim A>B 1
+    //   3 5 preempt B 9
+    //   3 5 error Router B output 4 is locked
+    if (header === 'ROUTE PLAN:') {
+      const dataLines = lines.slice(1).filter(l => l.trim());
+      const vs = this._getVirtualState();
+      if (!vs || !this.tieLineEngine || dataLines.length === 0) { socket.write('NAK\n\n'); return; }
+
+      socket.write('ACK\n\n');
+      let response = 'ROUTE PLAN:\n';
+      for (const line of dataLines) {
+        const parts = line.split(' ');
+        if (parts.length !== 2) continue;
+        const output = parseInt(parts[0], 10);
+        const input = parseInt(parts[1], 10);
+        if (output < 0 || output >= vs.outputs || input < 0 || input >= vs.inputs) continue;
+
+        const plan = this.tieLineEngine.planVirtualRoute(output, input, this.virtualRouter, 0);
+        const clientIP = this._getClientIP(socket);
+        if (this.lockOwners[output] && this.lockOwners[output] !== clientIP) {
+          plan.failures.push(`Output ${output + 1} is locked by ${this.lockOwners[output]}`);
+        }
+
+        response += `${output} ${input} ${plan.failures.length === 0 ? 'ok' : 'fail'}\n`;
+        for (const op of plan.operations) {
+          response += `${output} ${input} route ${op.router} ${op.output} ${op.input} ${op.purpose}\n`;
+        }
+        for (const tl of plan.tieLines) {
+          response += `${output} ${input} tie-line ${tl.action} ${tl.direction} ${tl.tieLineIndex}\n`;
+        }
+        for (const dest of plan.preempted) {
+          response += `${output} ${input} preempt ${dest.router} ${dest.output}\n`;
+        }
+        for (const failure of plan.failures) {
+          response += `${output} ${input} error ${failure}\n`;
+        }
+      }
+      response += '\n';
+      socket.write(response);
+      return;
+    }
+
+    // Extension: tie-line usage alerts. An empty block queries the alerts
+    // currently raised; they are also pushed as they change. One line per
+    // direction and level: "direction level threshold inUse total", where
+    // threshold 0 means usage has dropped back below every threshold.
+    if (header === 'TIE-LINE ALERTS:') {
+      if (!this.tieLineEngine) { socket.write('NAK\n\n'); return; }
+      socket.write('ACK\n\n');
+      socket.write(this._formatUsageAlerts(this.tieLineEngine.getUsageAlerts()));
+      return;
+    }
+
     if (header === 'VIDEO OUTPUT LOCKS:') {
       const dataLines = lines.slice(1).filter(l => l.trim());
       const vs = this._getVirtualState();
@@ -213,7 +273,7 @@ class VideoHubBridge extends EventEmitter {
             // Forward to physical router
             const resolved = this.virtualRouter.resolveOutput(output);
             if (resolved) {
-              const controller = resolved.router === 'A' ? this.controllerA : this.controllerB;
+              const controller = this._getController(resolved.router);
               if (controller?.isConnected()) {
                 try { controller.setLock(resolved.physicalIndex, 'O'); } catch (e) {}
               }
@@ -224,7 +284,7 @@ class VideoHubBridge extends EventEmitter {
               this.lockOwners[output] = null;
               const resolved = this.virtualRouter.resolveOutput(output);
               if (resolved) {
-                const controller = resolved.router === 'A' ? this.controllerA : this.controllerB;
+                const controller = this._getController(resolved.router);
                 if (controller?.isConnected()) {
                   try { controller.setLock(resolved.physicalIndex, 'U'); } catch (e) {}
                 }
@@ -235,7 +295,7 @@ class VideoHubBridge extends EventEmitter {
             this.lockOwners[output] = null;
             const resolved = this.virtualRouter.resolveOutput(output);
             if (resolved) {
-              const controller = resolved.router === 'A' ? this.controllerA : this.controllerB;
+              const controller = this._getController(resolved.router);
               if (controller?.isConnected()) {
                 try { controller.setLock(resolved.physicalIndex, 'U'); } catch (e) {}
               }
@@ -285,7 +345,7 @@ class VideoHubBridge extends EventEmitter {
           if (virtualIdx >= 0 && virtualIdx < vs.inputs) {
             const resolved = this.virtualRouter.resolveInput(virtualIdx);
             if (resolved) {
-              const controller = resolved.router === 'A' ? this.controllerA : this.controllerB;
+              const controller = this._getController(resolved.router);
               if (controller?.isConnected()) {
                 try {
                   controller.setInputLabel(resolved.physicalIndex, label);
@@ -328,7 +388,7 @@ class VideoHubBridge extends EventEmitter {
           if (virtualIdx >= 0 && virtualIdx < vs.outputs) {
             const resolved = this.virtualRouter.resolveOutput(virtualIdx);
             if (resolved) {
-              const controller = resolved.router === 'A' ? this.controllerA : this.controllerB;
+              const controller = this._getController(resolved.router);
               if (controller?.isConnected()) {
                 try {
                   controller.setOutputLabel(resolved.physicalIndex, label);
@@ -414,8 +474,9 @@ class VideoHubBridge extends EventEmitter {
     const prev = this._previousState;
     this._previousState = newState;
 
-    // Size changed - re-send full status dump
-    if (prev.inputs !== newState.inputs || prev.outputs !== newState.outputs) {
+    // Ports changed size or order - re-send full status dump
+    const routingDelta = this.virtualRouter?.getRoutingDelta(prev);
+    if (prev.inputs !== newState.inputs || prev.outputs !== newState.outputs || !routingDelta) {
       this.lockOwners = {};
       for (const client of this.clients) {
         try { client.write(this.getFullStatus(client)); } catch (e) {}
@@ -423,13 +484,10 @@ class VideoHubBridge extends EventEmitter {
       return;
     }
 
-    // Diff routing
-    const routingChanges = [];
-    for (let i = 0; i < newState.outputs; i++) {
-      if (prev.routing[i] !== newState.routing[i]) {
-        routingChanges.push({ output: i, input: newState.routing[i] !== undefined ? newState.routing[i] : 0 });
-      }
-    }
+    // Routing changes on level 0, the only level VideoHub clients see
+    const routingChanges = routingDelta
+      .filter(change => change.level === 0)
+      .map(change => ({ output: change.output, input: change.input !== undefined ? change.input : 0 }));
     if (routingChanges.length > 0) {
       this.broadcastRoutingChange(routingChanges);
     }
@@ -506,6 +564,19 @@ class VideoHubBridge extends EventEmitter {
     this.broadcast(message);
   }
 
+  broadcastUsageAlert(alert) {
+    this.broadcast(this._formatUsageAlerts([alert]));
+  }
+
+  _formatUsageAlerts(alerts) {
+    let message = 'TIE-LINE ALERTS:\n';
+    for (const alert of alerts) {
+      message += `${alert.direction} ${alert.level} ${alert.threshold} ${alert.inUse} ${alert.total}\n`;
+    }
+    message += '\n';
+    return message;
+  }
+
   broadcastOutputLabelChange(changes) {
     let message = 'OUTPUT LABELS:\n';
     for (const change of changes) {
@@ -1,274 +1,511 @@
+const EMPTY_ROUTER_STATE = { inputs: 0, outputs: 0, routing: {}, inputLabels: {}, outputLabels: {} };
+
+// Port keys of a layout section in order, [{ router, start, end }] ranges
+// being 0-based and inclusive. Interleaved ranges take one port from each in turn.
+function layoutPortKeys(ranges, interleave) {
+  const lists = ranges.map(({ router, start, end }) =>
+    Array.from({ length: end - start + 1 }, (_, i) => `${router}:${start + i}`));
+  if (!interleave) return lists.flat();
+  const keys = [];
+  for (let i = 0; i < Math.max(0, ...lists.map(list => list.length)); i++) {
+    for (const list of lists) {
+      if (i < list.length) keys.push(list[i]);
+    }
+  }
+  return keys;
+}
+
 class VirtualRouter {
-  constructor(routerAState, routerBState, tieLineConfig, tieLineState) {
-    this.routerA = routerAState || { inputs: 0, outputs: 0, routing: {}, inputLabels: {}, outputLabels: {} };
-    this.routerB = routerBState || { inputs: 0, outputs: 0, routing: {}, inputLabels: {}, outputLabels: {} };
-    this.tieLineConfig = tieLineConfig || { aToB: [], bToA: [] };
-    this.tieLineState = tieLineState || { aToB: [], bToA: [] };
+  // routerStates is keyed by router ID in display order; a null entry is a
+  // configured router that is not currently connected. tieLineState is the
+  // engine's level-keyed pool snapshot. levelMap lists the virtual levels and
+  // the physical level each router uses for them (see TieLineEngine).
+  // sourceGroups lists equivalent sources, [{ members: [{ router, input }] }]:
+  // copies of one signal on several routers, shown as a single input.
+  // portMap holds the stored virtual index of every port (see
+  // _buildPortIndex); it is updated in place and portMapChanged is set
+  // whenever a port is numbered, so the owner can save it. layout is the
+  // user's virtual layout (see applyLayout).
+  //
+  // Port maps and their reverse lookups are built once and only rebuilt
+  // when router sizes, connections, tie-line config, equivalent sources or
+  // the layout change; layoutVersion counts the rebuilds. getState() is
+  // kept until the next update().
+  constructor(routerStates, tieLineConfig, tieLineState, levelMap, sourceGroups, portMap, layout) {
+    this.routers = {};
+    this.offlineRouters = new Set();
+    this.tieLineConfig = tieLineConfig || {};
+    this.tieLineState = tieLineState || {};
+    this.levelMap = levelMap || [];
+    this.sourceGroups = sourceGroups || [];
+    this.portMap = portMap || { inputs: {}, outputs: {} };
+    this.portMapChanged = false;
+    this.layout = layout || { inputs: [], outputs: [] };
+    this.layoutVersion = 0;
+    this._state = null;
+
+    this._setRouterStates(routerStates || {});
+    this._indexTieLines();
+    this._rebuildPorts();
+  }
 
-    this._buildExclusionSets();
+  _setRouterStates(routerStates) {
+    this.routers = {};
+    this.offlineRouters = new Set();
+    for (const [routerId, state] of Object.entries(routerStates)) {
+      this.routers[routerId] = state || EMPTY_ROUTER_STATE;
+      if (!state) this.offlineRouters.add(routerId);
+    }
   }
 
   _buildExclusionSets() {
-    // Tie-line ports should be hidden from the virtual view
-    this.excludedAOutputs = new Set(this.tieLineConfig.aToB.map(tl => tl.routerAOutput));
-    this.excludedBOutputs = new Set(this.tieLineConfig.bToA.map(tl => tl.routerBOutput));
-    this.excludedAInputs = new Set(this.tieLineConfig.bToA.map(tl => tl.routerAInput));
-    this.excludedBInputs = new Set(this.tieLineConfig.aToB.map(tl => tl.routerBInput));
-  }
-
-  update(routerAState, routerBState, tieLineConfig, tieLineState) {
-    if (routerAState) this.routerA = routerAState;
-    if (routerBState) this.routerB = routerBState;
-    if (tieLineConfig) {
-      this.tieLineConfig = tieLineConfig;
-      this._buildExclusionSets();
+    // Tie-line ports should be hidden from the virtual view, except the far
+    // input of a static tie-line, which is a source in its own right that
+    // resolves back to the input it is pinned to
+    this.excludedOutputs = {};
+    this.excludedInputs = {};
+    this.staticInputs = {};
+    for (const [direction, lines] of Object.entries(this.tieLineConfig)) {
+      const [from, to] = direction.split('>');
+      if (!this.excludedOutputs[from]) this.excludedOutputs[from] = new Set();
+      if (!this.excludedInputs[to]) this.excludedInputs[to] = new Set();
+      for (const tl of lines || []) {
+        this.excludedOutputs[from].add(tl.fromOutput);
+        if (Number.isInteger(tl.staticInput)) {
+          this.staticInputs[`${to}:${tl.toInput}`] = { router: from, physicalIndex: tl.staticInput };
+        } else {
+          this.excludedInputs[to].add(tl.toInput);
+        }
+      }
     }
-    if (tieLineState) this.tieLineState = tieLineState;
   }
 
-  // Build ordered list of visible input indices for each router
-  _getVisibleAInputs() {
-    const result = [];
-    for (let i = 0; i < this.routerA.inputs; i++) {
-      if (!this.excludedAInputs.has(i)) result.push(i);
+  // Each group is shown as the first member that exists (a connected router,
+  // not a tie-line input); the other members are hidden and map back to it.
+  // copiesOf is keyed `${routerId}:${physicalInput}` for every available member.
+  _buildSourceGroups() {
+    this.groupedInputs = {};
+    this.copiesOf = {};
+    for (const group of this.sourceGroups) {
+      const copies = (group.members || [])
+        .filter(m => m.input < (this.routers[m.router]?.inputs || 0) && !this.excludedInputs[m.router]?.has(m.input)
+          && !this.hiddenPorts.input.has(`${m.router}:${m.input}`))
+        .map(m => ({ router: m.router, physicalIndex: m.input }));
+      if (copies.length < 2) continue;
+      for (const copy of copies) {
+        this.copiesOf[`${copy.router}:${copy.physicalIndex}`] = copies;
+        if (copy === copies[0]) continue;
+        if (!this.groupedInputs[copy.router]) this.groupedInputs[copy.router] = new Set();
+        this.groupedInputs[copy.router].add(copy.physicalIndex);
+      }
     }
-    return result;
   }
 
-  _getVisibleBInputs() {
-    const result = [];
-    for (let i = 0; i < this.routerB.inputs; i++) {
-      if (!this.excludedBInputs.has(i)) result.push(i);
+  // Ports the layout hides, as `${routerId}:${physicalIndex}` sets per kind
+  _buildHiddenSets() {
+    this.hiddenPorts = {};
+    for (const kind of ['input', 'output']) {
+      const hidden = (this.layout[`${kind}s`] || []).filter(entry => entry.hide);
+      this.hiddenPorts[kind] = new Set(hidden.flatMap(entry => layoutPortKeys(entry.hide)));
     }
-    return result;
   }
 
-  _getVisibleAOutputs() {
-    const result = [];
-    for (let i = 0; i < this.routerA.outputs; i++) {
-      if (!this.excludedAOutputs.has(i)) result.push(i);
+  // In-use tie-lines by the input they deliver into, per level:
+  // `${routerId}:${physicalInput}` -> tie-line
+  _indexTieLines() {
+    this._incoming = {};
+    for (const [level, pools] of Object.entries(this.tieLineState)) {
+      const incoming = new Map();
+      for (const pool of Object.values(pools)) {
+        for (const tl of pool) {
+          if (tl.status === 'in-use') incoming.set(`${tl.to}:${tl.toInput}`, tl);
+        }
+      }
+      this._incoming[level] = incoming;
+    }
+  }
+
+  // Everything the port maps are built from. Settings are often changed in
+  // place, so they are compared by value.
+  _structureKey() {
+    const sizes = this.routerIds.map(id => [id, this.routers[id].inputs, this.routers[id].outputs, this.offlineRouters.has(id)]);
+    return JSON.stringify([sizes, this.tieLineConfig, this.sourceGroups, this.layout]);
+  }
+
+  _rebuildPorts() {
+    this._structure = this._structureKey();
+    this._buildExclusionSets();
+    this._buildHiddenSets();
+    this._buildSourceGroups();
+    this._buildPortIndex();
+    this.layoutVersion++;
+    this._state = null;
+  }
+
+  // A new portMap is always applied; anything else only rebuilds the port
+  // maps if it changes their structure
+  update(routerStates, tieLineConfig, tieLineState, levelMap, sourceGroups, portMap, layout) {
+    if (routerStates) this._setRouterStates(routerStates);
+    if (tieLineConfig) this.tieLineConfig = tieLineConfig;
+    if (tieLineState) {
+      this.tieLineState = tieLineState;
+      this._indexTieLines();
+    }
+    if (levelMap) this.levelMap = levelMap;
+    if (sourceGroups) this.sourceGroups = sourceGroups;
+    if (portMap) this.portMap = portMap;
+    if (layout) this.layout = layout;
+    if (portMap || this._structureKey() !== this._structure) this._rebuildPorts();
+    this._state = null;
+  }
+
+  // Virtual indices are stored per port in portMap.inputs/outputs, keyed
+  // `${routerId}:${physicalIndex}`, so they stay put when tie-lines,
+  // equivalent sources or router sizes change: a port that is hidden, or on
+  // a router that is offline, leaves a gap instead of shifting every later
+  // port. A port seen for the first time is numbered after the highest index
+  // in use. Until every router has connected once the map stays empty and
+  // ports are numbered by position, as they always were, so the first map
+  // keeps the indices already saved in salvos, BPS buttons and label colours.
+  _buildPortIndex() {
+    this._visiblePorts = { input: {}, output: {} };
+    for (const routerId of this.routerIds) {
+      this._visiblePorts.input[routerId] = this._computeVisiblePorts(routerId, 'input');
+      this._visiblePorts.output[routerId] = this._computeVisiblePorts(routerId, 'output');
+    }
+
+    const seeded = Object.keys(this.portMap.inputs).length > 0 || Object.keys(this.portMap.outputs).length > 0;
+    const persist = seeded || this.offlineRouters.size === 0;
+    this._ports = {};
+    this._virtualIndex = {};
+    this._sections = {};
+    for (const kind of ['input', 'output']) {
+      const stored = persist ? this.portMap[`${kind}s`] : {};
+      let next = Object.values(stored).reduce((max, v) => Math.max(max, v + 1), 0);
+      const ports = new Array(next);
+      const virtualIndex = {};
+      for (const routerId of this.routerIds) {
+        for (const p of this._getVisiblePorts(routerId, kind)) {
+          const key = `${routerId}:${p}`;
+          if (stored[key] === undefined) {
+            stored[key] = next++;
+            if (persist) this.portMapChanged = true;
+          }
+          ports[stored[key]] = { router: routerId, physicalIndex: p };
+          virtualIndex[key] = stored[key];
+        }
+      }
+      this._ports[kind] = ports;
+      this._virtualIndex[kind] = virtualIndex;
+
+      // Each layout section spans the indices of its ports
+      this._sections[kind] = (this.layout[`${kind}s`] || []).filter(entry => entry.ports).map(entry => {
+        const indices = layoutPortKeys(entry.ports, entry.interleave)
+          .map(key => stored[key])
+          .filter(v => v !== undefined);
+        if (indices.length === 0) return null;
+        return { name: entry.name || '', start: Math.min(...indices), end: Math.max(...indices) };
+      }).filter(Boolean);
     }
-    return result;
   }
 
-  _getVisibleBOutputs() {
+  // Number the ports as the user laid them out. layout.inputs and
+  // layout.outputs each list sections, gaps and hidden ports in order:
+  //   { name, ports: [{ router, start, end }], interleave }
+  //   { gap: count }
+  //   { hide: [{ router, start, end }] }
+  // Ports the layout doesn't mention follow in their previous order; hidden
+  // ports are not numbered. Returns the old -> new index maps so saved
+  // indices can follow their ports.
+  applyLayout(layout) {
+    this.layout = layout;
+    this._buildHiddenSets();
+
+    const moved = {};
+    for (const kind of ['input', 'output']) {
+      const previous = this.portMap[`${kind}s`];
+      const stored = {};
+      let next = 0;
+      const place = key => {
+        if (stored[key] === undefined && !this.hiddenPorts[kind].has(key)) stored[key] = next++;
+      };
+      for (const entry of layout[`${kind}s`] || []) {
+        if (entry.gap) next += entry.gap;
+        else if (entry.ports) layoutPortKeys(entry.ports, entry.interleave).forEach(place);
+      }
+      Object.keys(previous).sort((a, b) => previous[a] - previous[b]).forEach(place);
+
+      moved[`${kind}s`] = {};
+      for (const [key, v] of Object.entries(previous)) {
+        if (stored[key] !== undefined) moved[`${kind}s`][v] = stored[key];
+      }
+      this.portMap[`${kind}s`] = stored;
+    }
+    this._rebuildPorts();
+    this.portMapChanged = true;
+    return moved;
+  }
+
+  // Close every gap: number the shown ports 0, 1, 2... in their current
+  // order. Returns the old -> new index maps so saved indices can follow;
+  // ports not shown now (gaps) have no new index.
+  renumberPorts() {
+    const moved = {};
+    for (const kind of ['input', 'output']) {
+      const stored = {};
+      let index = 0;
+      moved[`${kind}s`] = {};
+      this._ports[kind].forEach((port, v) => {
+        stored[`${port.router}:${port.physicalIndex}`] = index;
+        moved[`${kind}s`][v] = index++;
+      });
+      this.portMap[`${kind}s`] = stored;
+    }
+    this._rebuildPorts();
+    this.portMapChanged = true;
+    return moved;
+  }
+
+  get routerIds() {
+    return Object.keys(this.routers);
+  }
+
+  // Ordered visible input/output indices of a router, as last built
+  _getVisiblePorts(routerId, kind) {
+    return this._visiblePorts[kind][routerId] || [];
+  }
+
+  _computeVisiblePorts(routerId, kind) {
+    const router = this.routers[routerId];
+    if (!router) return [];
+    const count = kind === 'input' ? router.inputs : router.outputs;
+    const excluded = (kind === 'input' ? this.excludedInputs : this.excludedOutputs)[routerId];
+    const grouped = kind === 'input' ? this.groupedInputs[routerId] : null;
+    const hidden = this.hiddenPorts[kind];
     const result = [];
-    for (let i = 0; i < this.routerB.outputs; i++) {
-      if (!this.excludedBOutputs.has(i)) result.push(i);
+    for (let i = 0; i < count; i++) {
+      if (!excluded?.has(i) && !grouped?.has(i) && !hidden.has(`${routerId}:${i}`)) result.push(i);
     }
     return result;
   }
 
-  get visibleAInputs() { return this._getVisibleAInputs(); }
-  get visibleBInputs() { return this._getVisibleBInputs(); }
-  get visibleAOutputs() { return this._getVisibleAOutputs(); }
-  get visibleBOutputs() { return this._getVisibleBOutputs(); }
+  visibleInputs(routerId) { return this._getVisiblePorts(routerId, 'input'); }
+  visibleOutputs(routerId) { return this._getVisiblePorts(routerId, 'output'); }
 
+  // Virtual levels: the level map's entries, else the highest level count
+  // among the routers (VideoHub reports no levels)
+  get levelCount() {
+    if (this.levelMap.length > 0) return this.levelMap.length;
+    return Math.max(1, ...this.routerIds.map(id => this.routers[id].levels || 1));
+  }
+
+  getLevelNames() {
+    return Array.from({ length: this.levelCount }, (_, level) => this.levelMap[level]?.name || `Level ${level + 1}`);
+  }
+
+  // Physical level a router uses for a virtual level, or -1 if it has none
+  _physicalLevel(routerId, level) {
+    if (this.levelMap.length === 0) return level;
+    const mapped = this.levelMap[level]?.levels?.[routerId];
+    if (!this.levelMap[level] || mapped === null) return -1;
+    return mapped !== undefined ? mapped : level;
+  }
+
+  // Physical routing of one router on a virtual level
+  _getPhysicalRouting(routerId, level) {
+    const router = this.routers[routerId];
+    const physical = this._physicalLevel(routerId, level);
+    if (router.allRouting?.[physical]) return router.allRouting[physical];
+    return physical === 0 ? router.routing : {};
+  }
+
+  // Virtual port counts, gaps included
   get totalInputs() {
-    return this.visibleAInputs.length + this.visibleBInputs.length;
+    return this._ports.input.length;
   }
 
   get totalOutputs() {
-    return this.visibleAOutputs.length + this.visibleBOutputs.length;
+    return this._ports.output.length;
+  }
+
+  // Map a virtual index to { router, physicalIndex }, or null for a gap
+  _resolve(virtualIndex, kind) {
+    const port = this._ports[kind][virtualIndex];
+    return port ? { ...port } : null;
   }
 
-  // Map virtual input index to { router: 'A'|'B', physicalIndex }
   resolveInput(virtualIndex) {
-    const aInputs = this.visibleAInputs;
-    if (virtualIndex < aInputs.length) {
-      return { router: 'A', physicalIndex: aInputs[virtualIndex] };
-    }
-    const bIdx = virtualIndex - aInputs.length;
-    const bInputs = this.visibleBInputs;
-    if (bIdx < bInputs.length) {
-      return { router: 'B', physicalIndex: bInputs[bIdx] };
-    }
-    return null;
+    return this._resolve(virtualIndex, 'input');
+  }
+
+  // Source to route from: a static tie-line's input resolves back to the
+  // input it is pinned to, so routes from it reuse the tie-line. An
+  // equivalent source group lists every copy in equivalents, so the engine
+  // can take the one nearest the destination.
+  resolveSource(virtualIndex) {
+    const resolved = this._resolve(virtualIndex, 'input');
+    if (!resolved) return null;
+    const key = `${resolved.router}:${resolved.physicalIndex}`;
+    if (this.staticInputs[key]) return this.staticInputs[key];
+    if (this.copiesOf[key]) return { ...resolved, equivalents: this.copiesOf[key] };
+    return resolved;
   }
 
-  // Map virtual output index to { router: 'A'|'B', physicalIndex }
   resolveOutput(virtualIndex) {
-    const aOutputs = this.visibleAOutputs;
-    if (virtualIndex < aOutputs.length) {
-      return { router: 'A', physicalIndex: aOutputs[virtualIndex] };
-    }
-    const bIdx = virtualIndex - aOutputs.length;
-    const bOutputs = this.visibleBOutputs;
-    if (bIdx < bOutputs.length) {
-      return { router: 'B', physicalIndex: bOutputs[bIdx] };
-    }
-    return null;
+    return this._resolve(virtualIndex, 'output');
   }
 
   // Reverse: physical index to virtual index
+  _physicalToVirtual(router, physicalIndex, kind) {
+    return this._virtualIndex[kind][`${router}:${physicalIndex}`] ?? -1;
+  }
+
+  // Any copy of an equivalent source maps to the group's one virtual input
   physicalInputToVirtual(router, physicalIndex) {
-    if (router === 'A') {
-      const aInputs = this.visibleAInputs;
-      const idx = aInputs.indexOf(physicalIndex);
-      return idx >= 0 ? idx : -1;
-    } else {
-      const bInputs = this.visibleBInputs;
-      const idx = bInputs.indexOf(physicalIndex);
-      return idx >= 0 ? this.visibleAInputs.length + idx : -1;
-    }
+    const shown = this.copiesOf[`${router}:${physicalIndex}`]?.[0];
+    if (shown) return this._physicalToVirtual(shown.router, shown.physicalIndex, 'input');
+    return this._physicalToVirtual(router, physicalIndex, 'input');
   }
 
   physicalOutputToVirtual(router, physicalIndex) {
-    if (router === 'A') {
-      const aOutputs = this.visibleAOutputs;
-      const idx = aOutputs.indexOf(physicalIndex);
-      return idx >= 0 ? idx : -1;
-    } else {
-      const bOutputs = this.visibleBOutputs;
-      const idx = bOutputs.indexOf(physicalIndex);
-      return idx >= 0 ? this.visibleAOutputs.length + idx : -1;
-    }
+    return this._physicalToVirtual(router, physicalIndex, 'output');
+  }
+
+  // Walk every visible port in virtual order, skipping gaps: fn(virtualIndex, routerId, physicalIndex)
+  _forEachPort(kind, fn) {
+    this._ports[kind].forEach((port, v) => fn(v, port.router, port.physicalIndex));
   }
 
   getInputLabels() {
     const labels = {};
-    const aInputs = this.visibleAInputs;
-    const bInputs = this.visibleBInputs;
-
-    for (let v = 0; v < aInputs.length; v++) {
-      const p = aInputs[v];
-      labels[v] = this.routerA.inputLabels[p] || `Input ${p + 1}`;
-    }
-    for (let v = 0; v < bInputs.length; v++) {
-      const p = bInputs[v];
-      labels[aInputs.length + v] = this.routerB.inputLabels[p] || `Input ${p + 1}`;
-    }
+    this._forEachPort('input', (v, routerId, p) => {
+      labels[v] = this.routers[routerId].inputLabels[p] || `Input ${p + 1}`;
+    });
     return labels;
   }
 
   getOutputLabels() {
     const labels = {};
-    const aOutputs = this.visibleAOutputs;
-    const bOutputs = this.visibleBOutputs;
-
-    for (let v = 0; v < aOutputs.length; v++) {
-      const p = aOutputs[v];
-      labels[v] = this.routerA.outputLabels[p] || `Output ${p + 1}`;
-    }
-    for (let v = 0; v < bOutputs.length; v++) {
-      const p = bOutputs[v];
-      labels[aOutputs.length + v] = this.routerB.outputLabels[p] || `Output ${p + 1}`;
-    }
+    this._forEachPort('output', (v, routerId, p) => {
+      labels[v] = this.routers[routerId].outputLabels[p] || `Output ${p + 1}`;
+    });
     return labels;
   }
 
   // Which router does each virtual input/output belong to?
   getInputRouterMap() {
     const map = {};
-    const aCount = this.visibleAInputs.length;
-    const bCount = this.visibleBInputs.length;
-    for (let i = 0; i < aCount; i++) map[i] = 'A';
-    for (let i = 0; i < bCount; i++) map[aCount + i] = 'B';
+    this._forEachPort('input', (v, routerId) => { map[v] = routerId; });
     return map;
   }
 
   getOutputRouterMap() {
     const map = {};
-    const aCount = this.visibleAOutputs.length;
-    const bCount = this.visibleBOutputs.length;
-    for (let i = 0; i < aCount; i++) map[i] = 'A';
-    for (let i = 0; i < bCount; i++) map[aCount + i] = 'B';
+    this._forEachPort('output', (v, routerId) => { map[v] = routerId; });
     return map;
   }
 
-  // Build virtual routing table from physical routing + tie-line state
-  getVirtualRouting() {
-    const routing = {};
-    const aOutputs = this.visibleAOutputs;
-    const bOutputs = this.visibleBOutputs;
-
-    // Router A outputs
-    for (let v = 0; v < aOutputs.length; v++) {
-      const physOut = aOutputs[v];
-      const physIn = this.routerA.routing[physOut];
-      if (physIn === undefined) continue;
-
-      // Check if this input is a B→A tie-line input
-      const bToATieLine = this.tieLineState.bToA.find(
-        tl => tl.routerAInput === physIn && tl.status === 'in-use'
-      );
-      if (bToATieLine) {
-        // Source is on Router B, coming through tie-line
-        const virtualInput = this.physicalInputToVirtual('B', bToATieLine.sourceInput);
-        if (virtualInput >= 0) routing[v] = virtualInput;
-      } else {
-        // Direct Router A input
-        const virtualInput = this.physicalInputToVirtual('A', physIn);
-        if (virtualInput >= 0) routing[v] = virtualInput;
-      }
-    }
+  // Find the in-use tie-line delivering into this physical input on a level, if any
+  _findIncomingTieLine(routerId, physicalInput, level) {
+    return this._incoming[level]?.get(`${routerId}:${physicalInput}`) || null;
+  }
 
-    // Router B outputs
-    for (let v = 0; v < bOutputs.length; v++) {
-      const virtualOut = aOutputs.length + v;
-      const physOut = bOutputs[v];
-      const physIn = this.routerB.routing[physOut];
-      if (physIn === undefined) continue;
-
-      // Check if this input is an A→B tie-line input
-      const aToBTieLine = this.tieLineState.aToB.find(
-        tl => tl.routerBInput === physIn && tl.status === 'in-use'
-      );
-      if (aToBTieLine) {
-        // Source is on Router A, coming through tie-line
-        const virtualInput = this.physicalInputToVirtual('A', aToBTieLine.sourceInput);
-        if (virtualInput >= 0) routing[virtualOut] = virtualInput;
-      } else {
-        // Direct Router B input
-        const virtualInput = this.physicalInputToVirtual('B', physIn);
-        if (virtualInput >= 0) routing[virtualOut] = virtualInput;
-      }
+  // Follow incoming tie-lines back hop by hop to the originating router input
+  _traceSource(routerId, physicalInput, level) {
+    let router = routerId;
+    let input = physicalInput;
+    const seen = new Set();
+    let tieLine = this._findIncomingTieLine(router, input, level);
+    while (tieLine && !seen.has(tieLine)) {
+      seen.add(tieLine);
+      router = tieLine.from;
+      input = tieLine.sourceInput;
+      tieLine = this._findIncomingTieLine(router, input, level);
     }
+    return { router, input };
+  }
 
+  // Build virtual routing table for a level from physical routing + tie-line state
+  getVirtualRouting(level = 0) {
+    const routing = {};
+    this._forEachPort('output', (v, routerId, physOut) => {
+      const physIn = this._getPhysicalRouting(routerId, level)[physOut];
+      if (physIn === undefined) return;
+
+      // Source may be on another router, coming through one or more tie-lines
+      const origin = this._traceSource(routerId, physIn, level);
+      const virtualInput = this.physicalInputToVirtual(origin.router, origin.input);
+      if (virtualInput >= 0) routing[v] = virtualInput;
+    });
     return routing;
   }
 
   getOutputLocks() {
     const locks = {};
-    const aOutputs = this.visibleAOutputs;
-    const bOutputs = this.visibleBOutputs;
-
-    for (let v = 0; v < aOutputs.length; v++) {
-      const p = aOutputs[v];
-      locks[v] = this.routerA.outputLocks?.[p] || 'U';
-    }
-    for (let v = 0; v < bOutputs.length; v++) {
-      const p = bOutputs[v];
-      locks[aOutputs.length + v] = this.routerB.outputLocks?.[p] || 'U';
-    }
+    this._forEachPort('output', (v, routerId, p) => {
+      locks[v] = this.routers[routerId].outputLocks?.[p] || 'U';
+    });
     return locks;
   }
 
   // Build map of virtual index -> physical port number (1-based) for display
   getInputPhysicalIndices() {
     const indices = {};
-    const aInputs = this.visibleAInputs;
-    const bInputs = this.visibleBInputs;
-    for (let v = 0; v < aInputs.length; v++) indices[v] = aInputs[v] + 1;
-    for (let v = 0; v < bInputs.length; v++) indices[aInputs.length + v] = bInputs[v] + 1;
+    this._forEachPort('input', (v, routerId, p) => { indices[v] = p + 1; });
     return indices;
   }
 
   getOutputPhysicalIndices() {
     const indices = {};
-    const aOutputs = this.visibleAOutputs;
-    const bOutputs = this.visibleBOutputs;
-    for (let v = 0; v < aOutputs.length; v++) indices[v] = aOutputs[v] + 1;
-    for (let v = 0; v < bOutputs.length; v++) indices[aOutputs.length + v] = bOutputs[v] + 1;
+    this._forEachPort('output', (v, routerId, p) => { indices[v] = p + 1; });
     return indices;
   }
 
   // Get complete virtual state object (similar shape to controller getState())
   getState() {
+    if (!this._state) this._state = this._buildState();
+    return this._state;
+  }
+
+  // Crosspoints that differ between a previous getState() and now, on every
+  // level: [{ level, output, input }], input undefined where nothing is
+  // routed. Null when the ports or levels have changed since, and the whole
+  // state is needed instead.
+  getRoutingDelta(previous) {
+    const state = this.getState();
+    if (!previous || previous.layoutVersion !== state.layoutVersion || previous.levels !== state.levels) return null;
+    const changes = [];
+    for (let level = 0; level < state.levels; level++) {
+      const before = previous.allRouting[level] || {};
+      const after = state.allRouting[level];
+      for (const output of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[output] !== after[output]) changes.push({ level, output: Number(output), input: after[output] });
+      }
+    }
+    return changes;
+  }
+
+  _buildState() {
+    const routerInputCounts = {};
+    const routerOutputCounts = {};
+    for (const routerId of this.routerIds) {
+      routerInputCounts[routerId] = this.visibleInputs(routerId).length;
+      routerOutputCounts[routerId] = this.visibleOutputs(routerId).length;
+    }
+
+    const levels = this.levelCount;
+    const allRouting = {};
+    for (let level = 0; level < levels; level++) {
+      allRouting[level] = this.getVirtualRouting(level);
+    }
+
     return {
       inputs: this.totalInputs,
       outputs: this.totalOutputs,
-      routing: this.getVirtualRouting(),
+      levels,
+      levelNames: this.getLevelNames(),
+      routing: allRouting[0],
+      allRouting,
       inputLabels: this.getInputLabels(),
       outputLabels: this.getOutputLabels(),
       outputLocks: this.getOutputLocks(),
@@ -276,10 +513,12 @@ class VirtualRouter {
       outputRouterMap: this.getOutputRouterMap(),
       inputPhysicalIndices: this.getInputPhysicalIndices(),
       outputPhysicalIndices: this.getOutputPhysicalIndices(),
-      routerAInputCount: this.visibleAInputs.length,
-      routerBInputCount: this.visibleBInputs.length,
-      routerAOutputCount: this.visibleAOutputs.length,
-      routerBOutputCount: this.visibleBOutputs.length
+      inputSections: this._sections.input,
+      outputSections: this._sections.output,
+      routerIds: this.routerIds,
+      routerInputCounts,
+      routerOutputCounts,
+      layoutVersion: this.layoutVersion
     };
   }
 }